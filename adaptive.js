@@ -0,0 +1,99 @@
+// Adaptive template refresh: faces change over a semester, so a confident,
+// live check-in can add its descriptor to the student's templates. These
+// 'adaptive' templates form a small rolling set next to the enrollment ones,
+// which are never replaced. Off unless ADAPTIVE_TEMPLATES=true.
+
+const { MAX_FACE_TEMPLATES } = require('./models');
+const db = require('./repository');
+const { templateDistance } = require('./matching');
+const { recordAudit } = require('./audit');
+
+const ADAPTIVE_TEMPLATES = process.env.ADAPTIVE_TEMPLATES === 'true';
+
+// Only check-ins at or above this confidence (%) are folded in
+const ADAPTIVE_MIN_CONFIDENCE = parseFloat(process.env.ADAPTIVE_MIN_CONFIDENCE) || 65;
+
+// Furthest a new template may be from the closest enrollment template, so a
+// chain of adaptive updates can't drift to a different face
+const ADAPTIVE_MAX_DRIFT = parseFloat(process.env.ADAPTIVE_MAX_DRIFT) || 0.45;
+
+// Size of the rolling set, and how often a student may add to it
+const ADAPTIVE_MAX_TEMPLATES = parseInt(process.env.ADAPTIVE_MAX_TEMPLATES, 10) || 3;
+const ADAPTIVE_MIN_INTERVAL_HOURS = 24;
+
+const isAdaptive = (template) => template.source === 'adaptive';
+
+// Fold a check-in's descriptor into the student's templates if it passes every
+// safeguard. Resolves { drift, dropped } when a template was added, else null.
+// Never throws - a failed refresh must not fail the check-in.
+const refreshTemplates = async ({ req, studentId, descriptor, confidence, liveness, attendanceId }) => {
+  if (!ADAPTIVE_TEMPLATES || confidence < ADAPTIVE_MIN_CONFIDENCE || !(liveness && liveness.passed)) return null;
+
+  try {
+    const student = await db.students.findOne({ studentId, isActive: true, enrollmentStatus: 'enrolled' });
+    if (!student) return null;
+
+    const enrolled = student.faceTemplates.filter(t => !isAdaptive(t));
+    const adaptive = student.faceTemplates.filter(isAdaptive).sort((a, b) => b.capturedAt - a.capturedAt);
+    if (enrolled.length === 0 || enrolled.length >= MAX_FACE_TEMPLATES) return null;
+
+    const drift = templateDistance(descriptor, enrolled);
+    if (drift > ADAPTIVE_MAX_DRIFT) {
+      console.log('⚠️  Adaptive template skipped (drift):', studentId, drift.toFixed(4));
+      return null;
+    }
+
+    if (adaptive.length > 0 && Date.now() - adaptive[0].capturedAt < ADAPTIVE_MIN_INTERVAL_HOURS * 60 * 60 * 1000) return null;
+
+    // Oldest adaptive templates make way for the new one
+    const room = Math.min(ADAPTIVE_MAX_TEMPLATES, MAX_FACE_TEMPLATES - enrolled.length) - 1;
+    const dropped = adaptive.slice(room);
+
+    const faceTemplates = student.faceTemplates.filter(t => !dropped.includes(t));
+    faceTemplates.push({
+      descriptor,
+      source: 'adaptive',
+      capturedAt: new Date(),
+      note: `Check-in ${attendanceId} (${confidence}%)`
+    });
+    const updated = await db.students.update({ _id: student._id }, { $set: { faceTemplates } });
+
+    await recordAudit(req, {
+      action: 'student.adaptTemplates',
+      targetType: 'student',
+      targetId: studentId,
+      before: student,
+      after: updated,
+      details: { attendanceId, confidence, drift: Number(drift.toFixed(4)), dropped: dropped.length }
+    });
+
+    console.log(`📝 Adaptive template added for ${studentId} (drift ${drift.toFixed(4)})`);
+    return { drift, dropped: dropped.length };
+  } catch (error) {
+    console.error('❌ Adaptive template refresh failed:', studentId, error.message);
+    return null;
+  }
+};
+
+// Remove a student's adaptive templates - all of them, or those captured since
+// a date. Resolves { student, before, removed }, or null if there is no such student.
+const rollbackAdaptiveTemplates = async (studentId, since) => {
+  const before = await db.students.findOne({ studentId });
+  if (!before) return null;
+
+  const removed = before.faceTemplates.filter(t => isAdaptive(t) && (!since || t.capturedAt >= since));
+  const student = removed.length > 0
+    ? await db.students.update({ _id: before._id }, { $set: { faceTemplates: before.faceTemplates.filter(t => !removed.includes(t)) } })
+    : before;
+
+  return { student, before, removed: removed.length };
+};
+
+module.exports = {
+  ADAPTIVE_TEMPLATES,
+  ADAPTIVE_MIN_CONFIDENCE,
+  ADAPTIVE_MAX_DRIFT,
+  ADAPTIVE_MAX_TEMPLATES,
+  refreshTemplates,
+  rollbackAdaptiveTemplates
+};
@@ -3,6 +3,17 @@
 ============================================ */
 const API = "https://examattendance.onrender.com/api";
 
+const APP_VERSION = "1.0.0";
+
+// This kiosk's registered station: the key an admin issued (sent as X-Station-Key)
+// and the station name the server reports back on each heartbeat
+let STATION_KEY = localStorage.getItem("stationKey");
+let STATION_NAME = localStorage.getItem("stationName") || "default";
+
+// Days are counted in the institution's timezone, which /health reports. The last
+// one seen is kept so the right day shows before the server has answered.
+let INSTITUTION_TIMEZONE = localStorage.getItem("institutionTimezone") || undefined;
+
 // Test API connection on startup
 async function testAPIConnection() {
   try {
@@ -10,6 +21,7 @@ async function testAPIConnection() {
     const response = await fetch(`${API}/health`);
     const data = await response.json();
     console.log("✅ API Connection successful:", data);
+    if (data.timezone && data.timezone !== INSTITUTION_TIMEZONE) applyInstitutionTimezone(data.timezone);
     return true;
   } catch (error) {
     console.error("❌ API Connection failed:", error);
@@ -20,7 +32,7 @@ async function testAPIConnection() {
         <strong>Please ensure:</strong><br>
         1. Node.js server is running (node server.js)<br>
         2. Server is on port 5000<br>
-        3. MongoDB is connected
+        3. The database is reachable (MongoDB, or DATA_BACKEND=file)
       `,
       icon: "error",
       confirmButtonText: "OK"
@@ -32,6 +44,145 @@ async function testAPIConnection() {
 // Test connection on page load
 testAPIConnection();
 
+/* ============================================
+   AUTHENTICATION
+============================================ */
+let authToken = localStorage.getItem("authToken");
+let currentUser = null;
+
+// fetch() for API calls: adds the login token, and a 401 sends the user back to the login screen
+async function apiFetch(path, options = {}) {
+  const headers = { ...(options.headers || {}) };
+  if (authToken) headers.Authorization = `Bearer ${authToken}`;
+  if (STATION_KEY) headers["X-Station-Key"] = STATION_KEY;
+
+  const res = await fetch(`${API}${path}`, { ...options, headers });
+
+  if (res.status === 401 && currentUser) {
+    logout("Your session has expired. Please log in again.");
+  }
+
+  return res;
+}
+
+function showLogin(message) {
+  document.getElementById("loginMessage").textContent = message || "";
+  document.getElementById("loginScreen").classList.remove("hidden");
+  document.getElementById("login_username").focus();
+}
+
+async function restoreSession() {
+  if (!authToken) {
+    showLogin();
+    return;
+  }
+
+  try {
+    const res = await apiFetch("/auth/me");
+    const json = await res.json();
+
+    if (json.success) {
+      startSession(json.data);
+    } else {
+      logout();
+    }
+  } catch (error) {
+    console.error("Restore session error:", error);
+
+    // Offline kiosk: carry on as the last signed-in user, check-ins are queued until we reconnect
+    const cachedUser = JSON.parse(localStorage.getItem("currentUser") || "null");
+    if (cachedUser) {
+      startSession(cachedUser);
+    } else {
+      showLogin("Could not reach the server.");
+    }
+  }
+}
+
+document.getElementById("loginForm").addEventListener("submit", async (e) => {
+  e.preventDefault();
+
+  const username = document.getElementById("login_username").value.trim();
+  const password = document.getElementById("login_password").value;
+
+  if (!username || !password) {
+    showLogin("Enter your username and password.");
+    return;
+  }
+
+  try {
+    const res = await fetch(`${API}/auth/login`, {
+      method: "POST",
+      headers: {"Content-Type": "application/json"},
+      body: JSON.stringify({ username, password })
+    });
+
+    const data = await res.json();
+
+    if (!data.success) {
+      showLogin(data.message);
+      return;
+    }
+
+    authToken = data.token;
+    localStorage.setItem("authToken", authToken);
+    document.getElementById("login_password").value = "";
+    startSession(data.data);
+  } catch (error) {
+    console.error("Login error:", error);
+    showLogin("Could not reach the server.");
+  }
+});
+
+function startSession(user) {
+  currentUser = user;
+  localStorage.setItem("currentUser", JSON.stringify(user));
+  console.log(`✅ Logged in as ${user.username} (${user.role})`);
+
+  document.getElementById("loginScreen").classList.add("hidden");
+  document.getElementById("currentUser").textContent = `${user.name || user.username} · ${user.role}`;
+
+  // Only show the pages this role may use
+  navItems.forEach(item => {
+    item.classList.toggle("hidden", !canView(item.getAttribute("data-view")));
+  });
+
+  if (canView("home")) {
+    loadExams();
+    loadRecognitionSettings();
+    syncOfflineStudents();
+    replayQueue();
+    startHeartbeat();
+  }
+  if (canView("stations")) loadStations();
+  if (canView("students")) loadStudents();
+  if (canView("register")) loadPendingStudents();
+  loadAttendance();
+  startLiveFeed();
+
+  // Open the first page this role is allowed to see
+  const firstItem = Array.from(navItems).find(item => !item.classList.contains("hidden"));
+  if (firstItem) firstItem.click();
+}
+
+function logout(message) {
+  authToken = null;
+  currentUser = null;
+  localStorage.removeItem("authToken");
+  localStorage.removeItem("currentUser");
+  stopAllCameras();
+  stopLiveFeed();
+  clearInterval(heartbeatTimer);
+  showLogin(message);
+}
+
+function canView(view) {
+  const item = document.querySelector(`.nav-item[data-view="${view}"]`);
+  return !!currentUser && !!item && item.getAttribute("data-roles").split(",").includes(currentUser.role);
+}
+
+document.getElementById("logoutBtn").addEventListener("click", () => logout());
+
 /* ============================================
    DOM ELEMENTS
 ============================================ */
@@ -39,7 +190,7 @@ const pages = document.querySelectorAll('.page');
 const navItems = document.querySelectorAll('.nav-item');
 
 const todayDate = document.getElementById('todayDate');
-todayDate.textContent = new Date().toLocaleDateString();
+todayDate.textContent = new Date().toLocaleDateString([], { timeZone: INSTITUTION_TIMEZONE });
 
 /* ============================================
    NAVIGATION
@@ -53,29 +204,42 @@ navItems.forEach(item => {
     pages.forEach(page => page.classList.remove('active'));
     document.getElementById(view).classList.add('active');
 
+    // The audit log and station status change all the time - refresh them whenever they are opened
+    if (view === "audit") loadAudit();
+    if (view === "settings") loadSettingsPage();
+    if (view === "stations") loadStations();
+
     // Stop all cameras first
-    if (checkInStream) {
-      stopCamera(checkInStream, document.getElementById("video"), document.getElementById("stopCamera"));
-      if (checkInInterval) clearInterval(checkInInterval);
-      checkInStream = null;
-    }
-    if (registerStream) {
-      stopCamera(registerStream, document.getElementById("videoReg"), document.getElementById("stopCameraReg"));
-      if (registerInterval) clearInterval(registerInterval);
-      registerStream = null;
-    }
+    stopAllCameras();
 
     // Start appropriate camera after a brief delay
-    setTimeout(() => {
-      if (view === 'home') {
-        initCheckInCamera();
-      } else if (view === 'register') {
-        initRegisterCamera();
-      }
-    }, 100);
+    setTimeout(() => startCameraForView(view), 100);
   });
 });
 
+function stopAllCameras() {
+  if (checkInStream) {
+    stopCamera(checkInStream, document.getElementById("video"), document.getElementById("stopCamera"));
+    if (checkInInterval) clearInterval(checkInInterval);
+    checkInStream = null;
+  }
+  if (registerStream) {
+    stopCamera(registerStream, document.getElementById("videoReg"), document.getElementById("stopCameraReg"));
+    if (registerInterval) clearInterval(registerInterval);
+    registerStream = null;
+  }
+}
+
+function startCameraForView(view) {
+  if (!currentUser || !modelsLoaded) return;
+
+  if (view === 'home') {
+    initCheckInCamera();
+  } else if (view === 'register') {
+    initRegisterCamera();
+  }
+}
+
 /* ============================================
    FACE API MODEL LOADING
 ============================================ */
@@ -96,13 +260,15 @@ async function loadModels() {
     await faceapi.nets.faceLandmark68Net.loadFromUri(MODEL_PATH);
     await faceapi.nets.faceRecognitionNet.loadFromUri(MODEL_PATH);
     await faceapi.nets.ssdMobilenetv1.loadFromUri(MODEL_PATH);
+    await faceapi.nets.faceExpressionNet.loadFromUri(MODEL_PATH);
 
     modelsLoaded = true;
     document.getElementById("model-status").textContent = "Face Models Ready ✅";
     console.log("✅ All face detection models loaded successfully");
     
-    // Auto-start check-in camera (home page is active by default)
-    setTimeout(() => initCheckInCamera(), 500);
+    // Auto-start the camera if a camera page is already open
+    const activePage = document.querySelector('.page.active');
+    setTimeout(() => startCameraForView(activePage && activePage.id), 500);
   } catch (error) {
     console.error("Model loading error:", error);
     document.getElementById("model-status").textContent = "Error loading models ❌";
@@ -158,7 +324,7 @@ function stopCamera(stream, video, stopBtn) {
 /* ============================================
    FACE DETECTION LOOP
 ============================================ */
-function startDetectionLoop(video, canvas, onDetection) {
+function startDetectionLoop(video, canvas, onDetection, options = {}) {
   const displaySize = { width: video.videoWidth, height: video.videoHeight };
   faceapi.matchDimensions(canvas, displaySize);
 
@@ -169,24 +335,39 @@ function startDetectionLoop(video, canvas, onDetection) {
     }
 
     try {
-      const detections = await faceapi
+      let task = faceapi
         .detectAllFaces(video, new faceapi.TinyFaceDetectorOptions())
-        .withFaceLandmarks()
-        .withFaceDescriptors();
+        .withFaceLandmarks();
+
+      // Expressions are only needed for the liveness challenge at check-in
+      if (options.expressions) task = task.withFaceExpressions();
+
+      const detections = await task.withFaceDescriptors();
 
       const resized = faceapi.resizeResults(detections, displaySize);
 
+      // onDetection may return one { text, color } label per detection for the overlay
+      const labels = onDetection ? onDetection(resized) : null;
+
       const ctx = canvas.getContext("2d");
       ctx.clearRect(0, 0, canvas.width, canvas.height);
 
-      resized.forEach(det => {
+      resized.forEach((det, i) => {
         const box = det.detection.box;
-        ctx.strokeStyle = "#4f46e5";
+        const label = labels && labels[i];
+
+        ctx.strokeStyle = label ? label.color : "#4f46e5";
         ctx.lineWidth = 3;
         ctx.strokeRect(box.x, box.y, box.width, box.height);
-      });
 
-      if (onDetection) onDetection(resized);
+        if (label) {
+          ctx.font = "bold 14px Inter, sans-serif";
+          ctx.fillStyle = label.color;
+          ctx.fillRect(box.x, box.y - 24, ctx.measureText(label.text).width + 12, 22);
+          ctx.fillStyle = "#ffffff";
+          ctx.fillText(label.text, box.x + 6, box.y - 8);
+        }
+      });
     } catch (error) {
       console.error("Detection error:", error);
     }
@@ -195,6 +376,231 @@ function startDetectionLoop(video, canvas, onDetection) {
   return interval;
 }
 
+/* ============================================
+   EXAM SESSIONS
+============================================ */
+let activeExamId = "";
+
+async function loadExams() {
+  const select = document.getElementById("examSelect");
+  let exams;
+
+  try {
+    console.log("Loading exam sessions from:", `${API}/exams?current=true`);
+    const res = await apiFetch("/exams?current=true");
+
+    if (!res.ok) {
+      throw new Error(`HTTP ${res.status}: ${res.statusText}`);
+    }
+
+    const json = await res.json();
+    exams = json.data || [];
+    localStorage.setItem("cachedExams", JSON.stringify(exams));
+  } catch (error) {
+    console.error("Load exams error:", error);
+
+    // Offline: fall back to the last list we saw, minus sessions that have ended
+    exams = JSON.parse(localStorage.getItem("cachedExams") || "[]")
+      .filter(exam => new Date(exam.endTime) > new Date());
+
+    if (exams.length === 0) {
+      select.innerHTML = `<option value="">Could not load exam sessions</option>`;
+      activeExamId = "";
+      return;
+    }
+  }
+
+  select.innerHTML = `<option value="">Select the active exam session...</option>`;
+  exams.forEach(exam => {
+    const start = new Date(exam.startTime).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" });
+    select.innerHTML += `<option value="${exam._id}">${exam.paperCode} - ${exam.course} (${exam.venue}, ${start})</option>`;
+  });
+
+  // Keep the invigilator's choice if that session is still open
+  if (exams.some(exam => exam._id === activeExamId)) {
+    select.value = activeExamId;
+  } else {
+    activeExamId = "";
+  }
+
+  loadInRoom();
+}
+
+document.getElementById("examSelect").addEventListener("change", (e) => {
+  activeExamId = e.target.value;
+  console.log("Active exam session:", activeExamId || "none");
+
+  // Batch results and auto-mode cooldowns belong to one session
+  resetBatch();
+  resetAutoStreak();
+  autoCooldowns = new Map();
+
+  if (!activeExamId) {
+    document.getElementById("startVerify").classList.add("disabled");
+    document.getElementById("startCheckout").classList.add("disabled");
+  }
+
+  loadInRoom();
+});
+
+
+/* ============================================
+   LIVENESS CHECK
+============================================ */
+// Eye aspect ratio below CLOSED then back above OPEN counts as a blink
+const EAR_CLOSED = 0.21;
+const EAR_OPEN = 0.26;
+// Nose offset from the eye midpoint (in eye-distances) that counts as a head turn
+const HEAD_TURN_RATIO = 0.25;
+const SMILE_SCORE = 0.8;
+// Set to false to only require a blink
+const LIVENESS_CHALLENGE_ENABLED = true;
+// Between two frames, a face box whose centre moves more than this share of its
+// width, or whose size changes by more than this factor, is a different face
+const FACE_JUMP_RATIO = 0.5;
+const FACE_RESIZE_RATIO = 1.5;
+
+const LIVENESS_CHALLENGES = {
+  turnLeft: "Turn your head to your left",
+  turnRight: "Turn your head to your right",
+  smile: "Smile for the camera"
+};
+
+let liveness = null;
+
+function newLivenessState(withChallenge) {
+  const challenges = Object.keys(LIVENESS_CHALLENGES);
+  return {
+    startedAt: Date.now(),
+    eyesClosed: false,
+    blinkDetected: false,
+    challenge: withChallenge
+      ? challenges[Math.floor(Math.random() * challenges.length)]
+      : "none",
+    challengePassed: !withChallenge
+  };
+}
+
+function resetLiveness() {
+  liveness = newLivenessState(LIVENESS_CHALLENGE_ENABLED);
+  updateLivenessPrompt();
+}
+
+function boxCenter(box) {
+  return { x: box.x + box.width / 2, y: box.y + box.height / 2 };
+}
+
+// Whether a detection is no longer the face the liveness check started with:
+// its descriptor is too far from the first one seen, or its box jumped
+function isDifferentFace(face, detection) {
+  const box = detection.detection.box;
+  const moved = distance2d(boxCenter(box), boxCenter(face.box));
+  const resized = Math.max(box.width / face.box.width, face.box.width / box.width);
+
+  return moved > face.box.width * FACE_JUMP_RATIO
+    || resized > FACE_RESIZE_RATIO
+    || FaceMatch.euclideanDistance(face.descriptor, Array.from(detection.descriptor)) > recognitionSettings.matchThreshold;
+}
+
+// Tie the check-in liveness state to the face in front of the camera, so one
+// person can't pass the challenge and then hand over to a photo or someone else
+function followLivenessFace(detection) {
+  if (!liveness || (liveness.face && isDifferentFace(liveness.face, detection))) resetLiveness();
+
+  liveness.face = {
+    box: detection.detection.box,
+    descriptor: liveness.face ? liveness.face.descriptor : Array.from(detection.descriptor)
+  };
+}
+
+function distance2d(a, b) {
+  return Math.hypot(a.x - b.x, a.y - b.y);
+}
+
+function eyeAspectRatio(eye) {
+  // eye = 6 landmark points, corners at 0 and 3
+  return (distance2d(eye[1], eye[5]) + distance2d(eye[2], eye[4])) / (2 * distance2d(eye[0], eye[3]));
+}
+
+function centerOf(points) {
+  return {
+    x: points.reduce((sum, p) => sum + p.x, 0) / points.length,
+    y: points.reduce((sum, p) => sum + p.y, 0) / points.length
+  };
+}
+
+// Feed one detection per frame; returns true once the face has proven it is live.
+// Uses the single check-in state unless a per-face state is passed (batch mode).
+function updateLiveness(detection, state) {
+  if (!state) {
+    if (!liveness) resetLiveness();
+    state = liveness;
+  }
+  if (livenessPassed(state)) return true;
+
+  const landmarks = detection.landmarks;
+  const leftEye = landmarks.getLeftEye();
+  const rightEye = landmarks.getRightEye();
+
+  // Blink: both eyes close, then open again
+  const ear = (eyeAspectRatio(leftEye) + eyeAspectRatio(rightEye)) / 2;
+  if (ear < EAR_CLOSED) {
+    state.eyesClosed = true;
+  } else if (state.eyesClosed && ear > EAR_OPEN) {
+    state.blinkDetected = true;
+    state.eyesClosed = false;
+  }
+
+  // Challenge only counts after the blink, so a photo can't pass it first
+  if (state.blinkDetected && !state.challengePassed) {
+    if (state.challenge === "smile") {
+      state.challengePassed = (detection.expressions && detection.expressions.happy > SMILE_SCORE);
+    } else {
+      // The video is not mirrored: turning to the student's left moves the nose right in the frame
+      const leftCenter = centerOf(leftEye);
+      const rightCenter = centerOf(rightEye);
+      const eyeMid = { x: (leftCenter.x + rightCenter.x) / 2, y: (leftCenter.y + rightCenter.y) / 2 };
+      const noseTip = landmarks.getNose()[3];
+      const yaw = (noseTip.x - eyeMid.x) / distance2d(leftCenter, rightCenter);
+
+      state.challengePassed = state.challenge === "turnLeft"
+        ? yaw > HEAD_TURN_RATIO
+        : yaw < -HEAD_TURN_RATIO;
+    }
+  }
+
+  if (state === liveness) updateLivenessPrompt();
+  return livenessPassed(state);
+}
+
+function livenessPassed(state = liveness) {
+  return !!state && state.blinkDetected && state.challengePassed;
+}
+
+// Summary sent with the check-in and stored on the attendance record
+function livenessResult(state = liveness) {
+  return {
+    passed: livenessPassed(state),
+    blinkDetected: state ? state.blinkDetected : false,
+    challenge: state ? state.challenge : "none",
+    challengePassed: state ? state.challengePassed : false,
+    durationMs: state ? Date.now() - state.startedAt : 0
+  };
+}
+
+function updateLivenessPrompt() {
+  const result = document.getElementById("verifyResult");
+  if (!liveness) {
+    result.textContent = "";
+  } else if (!liveness.blinkDetected) {
+    result.textContent = "👁️ Please blink to confirm you are present";
+  } else if (!liveness.challengePassed) {
+    result.textContent = `👉 ${LIVENESS_CHALLENGES[liveness.challenge]}`;
+  } else {
+    result.textContent = "✅ Liveness confirmed - you can verify now";
+  }
+}
+
 /* ============================================
    CHECK-IN CAMERA
 ============================================ */
@@ -206,6 +612,7 @@ async function initCheckInCamera() {
   const canvas = document.getElementById("overlay");
   const stopBtn = document.getElementById("stopCamera");
   const verifyBtn = document.getElementById("startVerify");
+  const checkoutBtn = document.getElementById("startCheckout");
 
   // Stop existing stream
   if (checkInStream) {
@@ -216,16 +623,31 @@ async function initCheckInCamera() {
   checkInStream = await startCamera(video, stopBtn);
   
   if (checkInStream) {
+    resetLiveness();
+
     checkInInterval = startDetectionLoop(video, canvas, (detections) => {
       checkInDetections = detections;
-      
-      // Enable verify button if face detected
-      if (detections.length > 0) {
-        verifyBtn.classList.remove("disabled");
-      } else {
+
+      if (batchMode) return onBatchDetections(detections);
+
+      // Losing the face restarts liveness, so it can't be swapped for a photo mid-check
+      if (detections.length === 0) {
+        if (liveness && liveness.blinkDetected) resetLiveness();
+        resetAutoStreak();
         verifyBtn.classList.add("disabled");
+        checkoutBtn.classList.add("disabled");
+        return;
       }
-    });
+
+      followLivenessFace(detections[0]);
+      const live = updateLiveness(detections[0]);
+
+      if (autoMode) onAutoDetection(detections[0], live);
+
+      // Enable verify button once a live face is seen and a session is picked
+      verifyBtn.classList.toggle("disabled", !(live && activeExamId));
+      checkoutBtn.classList.toggle("disabled", !(live && activeExamId));
+    }, { expressions: true });
   }
 
   // Stop camera button
@@ -234,6 +656,7 @@ async function initCheckInCamera() {
     if (checkInInterval) clearInterval(checkInInterval);
     checkInStream = null;
     verifyBtn.classList.add("disabled");
+    checkoutBtn.classList.add("disabled");
   };
 }
 
@@ -304,8 +727,13 @@ document.getElementById("captureFace").addEventListener("click", async () => {
     return;
   }
 
-  const descriptor = Array.from(registerDetections[0].descriptor);
-  capturedSamples.push(descriptor);
+  // Keep every sample as its own template (glasses, lighting, angle...)
+  const detection = registerDetections[0];
+  capturedSamples.push({
+    descriptor: Array.from(detection.descriptor),
+    detectionScore: detection.detection.score,
+    capturedAt: new Date().toISOString()
+  });
 
   Swal.fire({
     title: "Captured!",
@@ -349,44 +777,49 @@ document.getElementById("registerStudent").addEventListener("click", async () =>
     return;
   }
 
-  // Average the face descriptors
-  const avgDescriptor = capturedSamples[0].map((_, i) => {
-    const sum = capturedSamples.reduce((acc, sample) => acc + sample[i], 0);
-    return sum / capturedSamples.length;
-  });
-
   console.log("Sending registration request...");
 
   try {
-    const res = await fetch(`${API}/students/register`, {
-      method: "POST",
-      headers: {"Content-Type": "application/json"},
-      body: JSON.stringify({
-        studentId: id,
-        name,
-        course,
-        faceDescriptor: avgDescriptor
+    // Students imported from a roster already exist - only their face is added.
+    // Re-enrolling replaces every template the student has.
+    const res = enrollMode === "reenroll"
+      ? await apiFetch(`/students/${encodeURIComponent(enrollingStudentId)}`, {
+        method: "PUT",
+        headers: {"Content-Type": "application/json"},
+        body: JSON.stringify({ faceTemplates: capturedSamples })
       })
-    });
+      : enrollingStudentId
+      ? await apiFetch(`/students/${encodeURIComponent(enrollingStudentId)}/templates`, {
+        method: "POST",
+        headers: {"Content-Type": "application/json"},
+        body: JSON.stringify({ faceTemplates: capturedSamples })
+      })
+      : await apiFetch("/students/register", {
+        method: "POST",
+        headers: {"Content-Type": "application/json"},
+        body: JSON.stringify({
+          studentId: id,
+          name,
+          course,
+          faceTemplates: capturedSamples
+        })
+      });
 
     const data = await res.json();
     console.log("Server response:", data);
 
-    if (data.success) {
-      Swal.fire("Success", "Student registered successfully!", "success");
-      
-      // Reset form
-      document.getElementById("reg_id").value = "";
-      document.getElementById("reg_name").value = "";
-      document.getElementById("reg_course").value = "";
-      capturedSamples = [];
-      document.getElementById("captureFace").textContent = "Capture Face (0/3)";
-      document.getElementById("captureFace").classList.remove("disabled");
-      document.getElementById("registerStudent").classList.add("disabled");
-      document.getElementById("registerStudent").style.opacity = "0.5";
-      
+    if (data.pendingReview) {
+      // The face matched another student - it is on hold until an admin reviews it
+      Swal.fire("Flagged for Review", data.message, "warning");
+      resetRegisterForm();
+      loadStudents();
+      loadPendingStudents();
+    } else if (data.success) {
+      const done = { reenroll: "Face re-enrolled successfully!", enroll: "Student enrolled successfully!" };
+      Swal.fire("Success", enrollingStudentId ? done[enrollMode] : "Student registered successfully!", "success");
+      resetRegisterForm();
       loadStudents();
-      loadDescriptors();
+      loadPendingStudents();
     } else {
       Swal.fire("Error", data.message, "error");
     }
@@ -396,186 +829,1816 @@ document.getElementById("registerStudent").addEventListener("click", async () =>
   }
 });
 
+function resetRegisterForm() {
+  document.getElementById("reg_id").value = "";
+  document.getElementById("reg_name").value = "";
+  document.getElementById("reg_course").value = "";
+  document.getElementById("pendingSearch").value = "";
+  setEnrollingStudent(null);
+  capturedSamples = [];
+  document.getElementById("captureFace").textContent = "Capture Face (0/3)";
+  document.getElementById("captureFace").classList.remove("disabled");
+  document.getElementById("registerStudent").classList.add("disabled");
+  document.getElementById("registerStudent").style.opacity = "0.5";
+}
+
 /* ============================================
-   LOAD STUDENTS & ATTENDANCE
+   LIST FILTERS & PAGING
 ============================================ */
-async function loadStudents() {
-  try {
-    console.log("Loading students from:", `${API}/students`);
-    const res = await fetch(`${API}/students`);
-    
-    if (!res.ok) {
-      throw new Error(`HTTP ${res.status}: ${res.statusText}`);
-    }
-    
-    const json = await res.json();
-    console.log("Students loaded:", json);
+const PAGE_SIZE = 50;
+const SEARCH_DELAY_MS = 300;
+
+// [query param, input id] pairs read by the Students and Attendance pages
+const STUDENT_FILTERS = [
+  ["q", "students_q"], ["course", "students_course"], ["status", "students_status"],
+  ["enrollment", "students_enrollment"], ["registeredFrom", "students_from"],
+  ["registeredTo", "students_to"], ["sort", "students_sort"]
+];
+const ATTENDANCE_FILTERS = [
+  ["q", "attendance_q"], ["course", "attendance_course"], ["status", "attendance_status"], ["sort", "attendance_sort"]
+];
+
+let studentsPage = 1;
+let attendancePage = 1;
+
+function filterParams(fields) {
+  const params = new URLSearchParams();
+  fields.forEach(([param, id]) => {
+    const value = document.getElementById(id).value.trim();
+    if (value) params.set(param, value);
+  });
+  return params;
+}
 
-    const container = document.getElementById("studentsList");
-    
-    if (!json.data || json.count === 0) {
-      container.innerHTML = "<p>No students registered yet.</p>";
-      return;
-    }
+// Call fn once typing has paused
+function debounce(fn, delay = SEARCH_DELAY_MS) {
+  let timer = null;
+  return (...args) => {
+    clearTimeout(timer);
+    timer = setTimeout(() => fn(...args), delay);
+  };
+}
 
-    container.innerHTML = "";
-    json.data.forEach(st => {
-      container.innerHTML += `
-        <div class="student-card">
-          <h3>${st.name}</h3>
-          <p><b>ID:</b> ${st.studentId}</p>
-          <p><b>Course:</b> ${st.course}</p>
-        </div>
-      `;
-    });
-  } catch (error) {
-    console.error("Load students error:", error);
-    document.getElementById("studentsList").innerHTML = 
-      `<p style="color: red;">❌ Could not load students: ${error.message}<br>Make sure server is running on port 5000.</p>`;
+// YYYY-MM-DD for today in the institution's timezone, the day the server files check-ins under
+const todayKey = () => new Date().toLocaleDateString("en-CA", { timeZone: INSTITUTION_TIMEZONE });
+
+// Switch to the server's timezone; the attendance list follows if it was showing "today"
+function applyInstitutionTimezone(timezone) {
+  const previousToday = todayKey();
+  INSTITUTION_TIMEZONE = timezone;
+  localStorage.setItem("institutionTimezone", timezone);
+  todayDate.textContent = new Date().toLocaleDateString([], { timeZone: timezone });
+
+  const dateInput = document.getElementById("attendance_date");
+  if (dateInput.value === previousToday && todayKey() !== previousToday) {
+    dateInput.value = todayKey();
+    if (currentUser) loadAttendance(1);
   }
 }
 
-async function loadAttendance() {
-  try {
-    console.log("Loading attendance from:", `${API}/attendance/today`);
-    const res = await fetch(`${API}/attendance/today`);
-    
-    if (!res.ok) {
-      throw new Error(`HTTP ${res.status}: ${res.statusText}`);
-    }
-    
-    const json = await res.json();
-    console.log("Attendance loaded:", json);
-
-    const container = document.getElementById("attendanceTable");
+// Previous / next buttons for a paged API response; onPage(page) loads that page
+function renderPager(containerId, json, onPage) {
+  const container = document.getElementById(containerId);
 
-    if (!json.data || json.count === 0) {
-      container.innerHTML = `<p>No attendance yet today.</p>`;
-      return;
-    }
+  if (!json.pages || json.pages <= 1) {
+    container.innerHTML = "";
+    return;
+  }
 
-    let html = `
-      <table>
-        <tr><th>ID</th><th>Name</th><th>Course</th><th>Time</th><th>Confidence</th></tr>
-    `;
+  container.innerHTML = `
+    <button class="export-btn" data-page="${json.page - 1}" ${json.page <= 1 ? "disabled" : ""}>‹ Previous</button>
+    <span>Page ${json.page} of ${json.pages} · ${json.total} results</span>
+    <button class="export-btn" data-page="${json.page + 1}" ${json.page >= json.pages ? "disabled" : ""}>Next ›</button>
+  `;
+  container.onclick = (e) => {
+    const button = e.target.closest("button[data-page]");
+    if (button && !button.disabled) onPage(Number(button.dataset.page));
+  };
+}
 
-    json.data.forEach(a => {
-      const t = new Date(a.checkInTime).toLocaleTimeString();
-      html += `
-        <tr>
-          <td>${a.studentId}</td>
-          <td>${a.name}</td>
-          <td>${a.course}</td>
-          <td>${t}</td>
-          <td>${a.confidence || "N/A"}%</td>
-        </tr>
-      `;
-    });
+// Any filter change starts again from page 1; text boxes wait for typing to pause
+function watchFilters(fields, load) {
+  const reload = () => load(1);
+  const reloadSoon = debounce(reload);
 
-    html += "</table>";
-    container.innerHTML = html;
-  } catch (error) {
-    console.error("Load attendance error:", error);
-    document.getElementById("attendanceTable").innerHTML = 
-      `<p style="color: red;">❌ Could not load attendance: ${error.message}<br>Make sure server is running on port 5000.</p>`;
-  }
+  fields.forEach(([, id]) => {
+    const input = document.getElementById(id);
+    input.addEventListener(input.type === "search" || input.type === "text" ? "input" : "change",
+      input.type === "search" || input.type === "text" ? reloadSoon : reload);
+  });
 }
 
-// Load initial data
-loadStudents();
-loadAttendance();
+document.getElementById("attendance_date").value = todayKey();
+document.getElementById("attendance_date").addEventListener("change", () => loadAttendance(1));
+watchFilters(STUDENT_FILTERS, loadStudents);
+watchFilters(ATTENDANCE_FILTERS, loadAttendance);
 
 /* ============================================
-   CHECK IN / VERIFY FACE
+   ROSTER IMPORT & PENDING ENROLLMENT
 ============================================ */
-let studentDescriptors = [];
+const PENDING_SEARCH_LIMIT = 20;
 
-async function loadDescriptors() {
+let pendingStudents = [];
+let enrollingStudentId = null;
+let enrollMode = "enroll"; // "enroll" a pending student or "reenroll" an enrolled one
+
+// Searched on the server as the registrar types - there can be thousands
+async function loadPendingStudents(q = "") {
   try {
-    console.log("Loading descriptors from:", `${API}/students/descriptors`);
-    const res = await fetch(`${API}/students/descriptors`);
-    
+    const params = new URLSearchParams({ enrollment: "pending", limit: PENDING_SEARCH_LIMIT });
+    if (q) params.set("q", q);
+    const res = await apiFetch(`/students?${params}`);
+
     if (!res.ok) {
       throw new Error(`HTTP ${res.status}: ${res.statusText}`);
     }
-    
+
     const json = await res.json();
-    studentDescriptors = json.data || [];
-    console.log(`✅ Loaded ${studentDescriptors.length} student face descriptors`);
+    pendingStudents = json.data || [];
+
+    document.getElementById("pendingStudents").innerHTML = pendingStudents
+      .map(st => `<option value="${escapeHtml(`${st.studentId} - ${st.name}`)}">${escapeHtml(st.course)}</option>`)
+      .join("");
+
+    if (!q) {
+      document.getElementById("pendingSearch").placeholder = json.total > 0
+        ? `Search ${json.total} imported students by ID or name...`
+        : "No students waiting for enrollment";
+    }
   } catch (error) {
-    console.error("Load descriptors error:", error);
-    console.log("❌ Could not load student descriptors. Face verification will not work.");
+    console.error("Load pending students error:", error);
   }
 }
 
-loadDescriptors();
+// Picking a pending student fills and locks the form, so only the face is captured
+function setEnrollingStudent(student, mode = "enroll") {
+  enrollingStudentId = student ? student.studentId : null;
+  enrollMode = mode;
 
-function euclideanDistance(a, b) {
-  return Math.sqrt(a.reduce((sum, val, i) => sum + Math.pow(val - b[i], 2), 0));
+  ["reg_id", "reg_name", "reg_course"].forEach(fieldId => {
+    document.getElementById(fieldId).readOnly = !!student;
+  });
+
+  if (student) {
+    document.getElementById("reg_id").value = student.studentId;
+    document.getElementById("reg_name").value = student.name;
+    document.getElementById("reg_course").value = student.course;
+  }
+
+  const labels = { enroll: "Enroll Face", reenroll: "Re-enroll Face" };
+  document.getElementById("registerStudent").textContent = student ? labels[mode] : "Register Student";
+}
+
+document.getElementById("pendingSearch").addEventListener("input", (e) => {
+  const value = e.target.value.trim();
+  const student = pendingStudents.find(st => `${st.studentId} - ${st.name}` === value);
+
+  if (student) {
+    setEnrollingStudent(student);
+    return;
+  }
+
+  if (enrollingStudentId) {
+    // Search changed after a pick: back to a blank manual registration
+    setEnrollingStudent(null);
+    document.getElementById("reg_id").value = "";
+    document.getElementById("reg_name").value = "";
+    document.getElementById("reg_course").value = "";
+  }
+  searchPendingStudents(value);
+});
+
+const searchPendingStudents = debounce(loadPendingStudents);
+
+// Started from the Students page: capture a fresh set of samples on the Register page
+function startReEnroll(student) {
+  resetRegisterForm();
+  setEnrollingStudent(student, "reenroll");
+  document.querySelector('.nav-item[data-view="register"]').click();
+}
+
+// Remove the templates adaptive refresh added from check-ins
+async function rollbackAdaptiveTemplates(studentId, name) {
+  const confirm = await Swal.fire({
+    title: `Undo adaptive templates for ${name}?`,
+    text: "Templates added automatically from check-ins are removed; enrollment templates are kept.",
+    icon: "warning",
+    showCancelButton: true
+  });
+  if (!confirm.isConfirmed) return;
+
+  try {
+    const res = await apiFetch(`/students/${encodeURIComponent(studentId)}/templates/rollback`, {
+      method: "POST",
+      headers: {"Content-Type": "application/json"},
+      body: JSON.stringify({})
+    });
+    const json = await res.json();
+
+    Swal.fire(json.success ? "Done" : "Error", json.message, json.success ? "success" : "error");
+  } catch (error) {
+    console.error("Rollback templates error:", error);
+    Swal.fire("Error", "Could not undo the adaptive templates.", "error");
+  }
+}
+
+document.getElementById("importRoster").addEventListener("click", async () => {
+  const file = document.getElementById("rosterFile").files[0];
+
+  if (!file) {
+    Swal.fire("No File", "Choose a roster CSV file first.", "warning");
+    return;
+  }
+
+  try {
+    const res = await apiFetch("/students/import", {
+      method: "POST",
+      headers: {"Content-Type": "text/csv"},
+      body: await file.text()
+    });
+
+    const data = await res.json();
+
+    if (!data.data) {
+      Swal.fire("Import Failed", data.message, "error");
+      return;
+    }
+
+    const { rows, created, updated, unchanged, errors } = data.data;
+    const errorList = errors
+      .map(err => `Row ${err.row}${err.studentId ? ` (${err.studentId})` : ""}: ${err.message}`)
+      .join("<br>");
+
+    Swal.fire({
+      title: data.success ? "Roster Imported" : "Imported With Errors",
+      html: `
+        ${rows} rows read<br>
+        <b>${created}</b> new pending students, <b>${updated}</b> updated, ${unchanged} unchanged
+        ${errors.length > 0 ? `<hr><div style="text-align:left; max-height:200px; overflow:auto;">${errorList}</div>` : ""}
+      `,
+      icon: data.success ? "success" : "warning"
+    });
+
+    document.getElementById("rosterFile").value = "";
+    loadPendingStudents();
+    loadStudents();
+  } catch (error) {
+    console.error("Roster import error:", error);
+    Swal.fire("Error", "Could not import roster. Check server connection.", "error");
+  }
+});
+
+/* ============================================
+   LOAD STUDENTS & ATTENDANCE
+============================================ */
+async function loadStudents(page = studentsPage) {
+  studentsPage = page;
+
+  try {
+    const params = filterParams(STUDENT_FILTERS);
+    params.set("page", page);
+    params.set("limit", PAGE_SIZE);
+
+    console.log("Loading students from:", `${API}/students?${params}`);
+    const res = await apiFetch(`/students?${params}`);
+    
+    if (!res.ok) {
+      throw new Error(`HTTP ${res.status}: ${res.statusText}`);
+    }
+    
+    const json = await res.json();
+    console.log("Students loaded:", json);
+
+    const container = document.getElementById("studentsList");
+    
+    renderPager("studentsPager", json, loadStudents);
+
+    if (!json.data || json.count === 0) {
+      container.innerHTML = "<p>No students match these filters.</p>";
+      return;
+    }
+
+    // Template rollback and data-protection actions are admin-only
+    const cardActions = (st) => `
+      <div class="card-actions">
+        ${st.enrollmentStatus === "enrolled" ? `<button class="link-btn" data-action="reenroll" data-id="${escapeHtml(st.studentId)}" data-name="${escapeHtml(st.name)}" data-course="${escapeHtml(st.course)}">Re-enroll face</button>` : ""}
+        ${currentUser.role === "admin" ? `
+          <button class="link-btn" data-action="rollback" data-id="${escapeHtml(st.studentId)}" data-name="${escapeHtml(st.name)}">Undo adaptive</button>
+          <button class="link-btn" data-action="export" data-id="${escapeHtml(st.studentId)}">Export data</button>
+          <button class="link-btn danger" data-action="erase" data-id="${escapeHtml(st.studentId)}" data-name="${escapeHtml(st.name)}">Erase</button>
+        ` : ""}
+      </div>
+    `;
+
+    container.innerHTML = json.data.map(st => `
+        <div class="student-card">
+          <h3>${escapeHtml(st.name)}</h3>
+          <p><b>ID:</b> ${escapeHtml(st.studentId)}</p>
+          <p><b>Course:</b> ${escapeHtml(st.course)}</p>
+          ${st.enrollmentStatus === "pending" ? `<span class="badge">Pending enrollment</span>` : ""}
+          ${st.enrollmentStatus === "review" ? `<span class="badge">Awaiting admin review</span>` : ""}
+          ${cardActions(st)}
+        </div>
+      `).join("");
+  } catch (error) {
+    console.error("Load students error:", error);
+    document.getElementById("studentsList").innerHTML = 
+      `<p style="color: red;">❌ Could not load students: ${error.message}<br>Make sure server is running on port 5000.</p>`;
+  }
+}
+
+async function loadAttendance(page = attendancePage) {
+  attendancePage = page;
+
+  try {
+    const date = document.getElementById("attendance_date").value || todayKey();
+    const params = filterParams(ATTENDANCE_FILTERS);
+    params.set("page", page);
+    params.set("limit", PAGE_SIZE);
+
+    console.log("Loading attendance from:", `${API}/attendance/date/${date}?${params}`);
+    const res = await apiFetch(`/attendance/date/${date}?${params}`);
+    
+    if (!res.ok) {
+      throw new Error(`HTTP ${res.status}: ${res.statusText}`);
+    }
+    
+    const json = await res.json();
+    console.log("Attendance loaded:", json);
+
+    const container = document.getElementById("attendanceTable");
+
+    renderPager("attendancePager", json, loadAttendance);
+
+    if (!json.data || json.count === 0) {
+      container.innerHTML = `<p>No attendance records match these filters.</p>`;
+      return;
+    }
+
+    let html = `
+      <table>
+        <tr><th>Photo</th><th>ID</th><th>Name</th><th>Course</th><th>Paper</th><th>Status</th><th>Time</th><th>Check-Out</th><th>Duration</th><th>Confidence</th><th>Liveness</th></tr>
+    `;
+
+    json.data.forEach(a => {
+      const t = a.checkInTime ? new Date(a.checkInTime).toLocaleTimeString() : "-";
+      const status = a.status || "present";
+      // Manual overrides are not biometric - show who entered them and why
+      const manual = a.method === "manual"
+        ? ` <span class="badge manual" title="${escapeHtml(a.override.reason)} (by ${escapeHtml(a.override.recordedBy)}${a.override.idCardNumber ? `, ID card ${escapeHtml(a.override.idCardNumber)}` : ""})">✋ Manual</span>`
+        : "";
+      const photo = a.snapshot && a.snapshot.key
+        ? `<img class="snapshot-thumb" data-id="${a._id}" alt="${escapeHtml(`${a.name} at ${t}`)}" title="View snapshot">`
+        : "-";
+      html += `
+        <tr>
+          <td>${photo}</td>
+          <td>${escapeHtml(a.studentId)}</td>
+          <td>${escapeHtml(a.name)}</td>
+          <td>${escapeHtml(a.course)}</td>
+          <td>${escapeHtml(a.paperCode || "-")}</td>
+          <td><span class="badge status-${status}">${status}</span>${manual}</td>
+          <td>${t}</td>
+          <td>${a.checkOutTime ? new Date(a.checkOutTime).toLocaleTimeString() : "-"}</td>
+          <td>${a.durationMinutes != null ? `${a.durationMinutes} min` : "-"}</td>
+          <td>${a.confidence ? `${a.confidence}%` : "N/A"}</td>
+          <td>${a.liveness && a.liveness.passed ? `✅ blink${a.liveness.challenge !== "none" ? ` + ${a.liveness.challenge}` : ""}` : "-"}</td>
+        </tr>
+      `;
+    });
+
+    html += "</table>";
+    container.innerHTML = html;
+    loadSnapshotThumbs(container);
+  } catch (error) {
+    console.error("Load attendance error:", error);
+    document.getElementById("attendanceTable").innerHTML = 
+      `<p style="color: red;">❌ Could not load attendance: ${error.message}<br>Make sure server is running on port 5000.</p>`;
+  }
+}
+
+
+/* ============================================
+   LIVE FEED (Server-Sent Events)
+============================================ */
+// Every door's check-ins, check-outs and overrides are pushed by the server,
+// so the Attendance page and the dashboard stay current without polling.
+const LIVE_FEED_SIZE = 20;
+const LIVE_REFRESH_DELAY_MS = 1000;
+
+let liveSource = null;
+let liveSummary = { sessions: [], stations: [] };
+let liveRefreshTimer = null;
+
+function startLiveFeed() {
+  stopLiveFeed();
+  if (!window.EventSource || !authToken) return;
+
+  let connectedBefore = false;
+  liveSource = new EventSource(`${API}/events?token=${encodeURIComponent(authToken)}`);
+
+  liveSource.onopen = () => {
+    setLiveStatus(true);
+    loadLiveSummary();
+
+    // Catch up on anything missed while the connection was down
+    if (connectedBefore) loadAttendance();
+    connectedBefore = true;
+  };
+
+  // EventSource reconnects by itself
+  liveSource.onerror = () => setLiveStatus(false);
+
+  ["checkin", "checkout", "override"].forEach(type => {
+    liveSource.addEventListener(type, (e) => onLiveEvent(type, JSON.parse(e.data)));
+  });
+
+  // An admin changed the recognition settings
+  liveSource.addEventListener("settings", () => {
+    if (canView("home")) loadRecognitionSettings();
+  });
+}
+
+function stopLiveFeed() {
+  if (liveSource) {
+    liveSource.close();
+    liveSource = null;
+  }
+  setLiveStatus(false);
+}
+
+function setLiveStatus(connected) {
+  const status = document.getElementById("liveStatus");
+  status.textContent = connected ? "● Live" : "● Reconnecting...";
+  status.classList.toggle("connected", connected);
+}
+
+async function loadLiveSummary() {
+  if (!canView("dashboard")) return;
+
+  try {
+    const res = await apiFetch("/attendance/live-summary");
+
+    if (!res.ok) {
+      throw new Error(`HTTP ${res.status}: ${res.statusText}`);
+    }
+
+    liveSummary = (await res.json()).data;
+    renderLiveSummary();
+  } catch (error) {
+    console.error("Load live summary error:", error);
+    document.getElementById("liveSessions").innerHTML =
+      `<p style="color: red;">❌ Could not load the live summary: ${error.message}</p>`;
+  }
+}
+
+function onLiveEvent(type, record) {
+  applyLiveEvent(type, record);
+  renderLiveSummary();
+  addLiveFeedItem(type, record);
+
+  // A burst of check-ins only refreshes the lists once
+  clearTimeout(liveRefreshTimer);
+  liveRefreshTimer = setTimeout(() => {
+    loadAttendance();
+    if (activeExamId) loadInRoom();
+  }, LIVE_REFRESH_DELAY_MS);
+}
+
+// Update the dashboard counts from one event instead of reloading them
+function applyLiveEvent(type, record) {
+  let session = liveSummary.sessions.find(s => s.exam === record.exam);
+  if (!session) {
+    session = { exam: record.exam, paperCode: record.paperCode, checkedIn: 0, late: 0, absent: 0, excused: 0, manual: 0, checkedOut: 0, inRoom: 0 };
+    liveSummary.sessions.push(session);
+  }
+
+  const door = (name) => {
+    let row = liveSummary.stations.find(s => s.station === name);
+    if (!row) {
+      row = { station: name, checkedIn: 0, checkedOut: 0 };
+      liveSummary.stations.push(row);
+    }
+    return row;
+  };
+
+  if (type === "checkout") {
+    session.checkedOut++;
+    session.inRoom--;
+    door(record.checkOutStation || "default").checkedOut++;
+    return;
+  }
+
+  if (record.method === "manual") session.manual++;
+
+  if (record.status === "absent" || record.status === "excused") {
+    session[record.status]++;
+    return;
+  }
+
+  session.checkedIn++;
+  session.inRoom++;
+  if (record.status === "late") session.late++;
+  door(record.station || "default").checkedIn++;
+}
+
+function renderLiveSummary() {
+  document.getElementById("liveSessions").innerHTML = liveSummary.sessions.map(s => `
+    <div class="live-card">
+      <h3>${s.paperCode ? escapeHtml(s.paperCode) : "No session"}</h3>
+      <p><b>In the room:</b> ${s.inRoom}</p>
+      <p><b>Checked in:</b> ${s.checkedIn} (${s.late} late)</p>
+      <p><b>Checked out:</b> ${s.checkedOut}</p>
+      <p><b>Manual:</b> ${s.manual} · <b>Absent:</b> ${s.absent} · <b>Excused:</b> ${s.excused}</p>
+    </div>
+  `).join("") || "<p>No check-ins yet today.</p>";
+
+  document.getElementById("liveStations").innerHTML = liveSummary.stations.map(s => `
+    <div class="live-card">
+      <h3>${escapeHtml(s.station)}</h3>
+      <p><b>Checked in:</b> ${s.checkedIn}</p>
+      <p><b>Checked out:</b> ${s.checkedOut}</p>
+    </div>
+  `).join("") || "<p>No doors active yet today.</p>";
+}
+
+function addLiveFeedItem(type, record) {
+  const feed = document.getElementById("liveFeed");
+  const station = type === "checkout" ? record.checkOutStation : record.station;
+  const labels = {
+    checkin: record.status === "late" ? "checked in late" : "checked in",
+    checkout: "checked out",
+    override: `marked ${record.status} (manual)`
+  };
+
+  feed.insertAdjacentHTML("afterbegin", `
+    <li><b>${new Date().toLocaleTimeString()}</b> · ${escapeHtml(record.name)} ${labels[type]} at ${escapeHtml(station || "default")} (${escapeHtml(record.paperCode || "-")})</li>
+  `);
+
+  while (feed.children.length > LIVE_FEED_SIZE) feed.lastElementChild.remove();
+}
+
+/* ============================================
+   STATION (kiosk registration + heartbeat)
+============================================ */
+const HEARTBEAT_MS = 60000;
+
+let heartbeatTimer = null;
+
+// Tell the server this kiosk is online and which versions it runs
+async function sendHeartbeat() {
+  if (!STATION_KEY) {
+    updateStationInfo("Not registered - check-ins will be rejected until a station key is set");
+    return;
+  }
+
+  try {
+    const version = window.faceapi ? faceapi.version : null;
+    const res = await apiFetch("/stations/heartbeat", {
+      method: "POST",
+      headers: {"Content-Type": "application/json"},
+      body: JSON.stringify({
+        appVersion: APP_VERSION,
+        modelVersion: version && typeof version === "object" ? version.faceapi : version
+      })
+    });
+
+    const json = await res.json();
+
+    if (!json.success) {
+      updateStationInfo(json.message);
+      return;
+    }
+
+    STATION_NAME = json.data.name;
+    localStorage.setItem("stationName", STATION_NAME);
+    updateStationInfo();
+  } catch (error) {
+    // Offline - keep the last known name, the check-in queue covers the rest
+    console.warn("Heartbeat failed:", error.message);
+  }
+}
+
+function startHeartbeat() {
+  clearInterval(heartbeatTimer);
+  sendHeartbeat();
+  heartbeatTimer = setInterval(sendHeartbeat, HEARTBEAT_MS);
+}
+
+function updateStationInfo(problem) {
+  document.getElementById("stationName").textContent = problem ? `${STATION_NAME} ⚠️ ${problem}` : STATION_NAME;
+}
+
+document.getElementById("setStationKey").addEventListener("click", async () => {
+  const { value: key } = await Swal.fire({
+    title: "Station Key",
+    text: "Paste the key an admin issued for this device on the Stations page.",
+    input: "text",
+    inputValue: STATION_KEY || "",
+    showCancelButton: true
+  });
+
+  if (key === undefined) return;
+
+  STATION_KEY = key.trim() || null;
+  if (STATION_KEY) {
+    localStorage.setItem("stationKey", STATION_KEY);
+  } else {
+    localStorage.removeItem("stationKey");
+  }
+  sendHeartbeat();
+});
+
+/* ============================================
+   STATIONS (admin)
+============================================ */
+async function loadStations() {
+  const container = document.getElementById("stationsTable");
+
+  try {
+    const [stationsRes, examsRes] = await Promise.all([apiFetch("/stations"), apiFetch("/exams")]);
+
+    if (!stationsRes.ok || !examsRes.ok) {
+      const failed = stationsRes.ok ? examsRes : stationsRes;
+      throw new Error(`HTTP ${failed.status}: ${failed.statusText}`);
+    }
+
+    const stations = (await stationsRes.json()).data;
+    const exams = (await examsRes.json()).data;
+
+    document.getElementById("station_exams").innerHTML = exams.map(exam =>
+      `<option value="${exam._id}">${exam.paperCode} - ${exam.course} (${new Date(exam.startTime).toLocaleString()})</option>`
+    ).join("");
+
+    if (stations.length === 0) {
+      container.innerHTML = `<p>No stations registered yet.</p>`;
+      return;
+    }
+
+    let html = `
+      <table>
+        <tr><th>Status</th><th>Name</th><th>Venue</th><th>Sessions</th><th>Last Seen</th><th>Versions</th><th>Key</th><th></th></tr>
+    `;
+
+    stations.forEach(s => {
+      const status = !s.isActive ? "⛔ Revoked" : s.online ? "🟢 Online" : "⚪ Offline";
+      html += `
+        <tr>
+          <td>${status}</td>
+          <td>${s.name}</td>
+          <td>${s.venue || "-"}</td>
+          <td>${s.allowedExams.length > 0 ? s.allowedExams.map(e => e.paperCode).join(", ") : "Any"}</td>
+          <td>${s.lastSeenAt ? new Date(s.lastSeenAt).toLocaleString() : "Never"}</td>
+          <td>${s.appVersion ? `app ${s.appVersion}` : "-"}${s.modelVersion ? `<br><small>face-api ${s.modelVersion}</small>` : ""}</td>
+          <td><code>${s.keyPrefix}…</code></td>
+          <td>
+            <button class="export-btn" data-action="rotate" data-id="${s._id}" data-name="${escapeHtml(s.name)}">New Key</button>
+            ${s.isActive ? `<button class="export-btn" data-action="revoke" data-id="${s._id}" data-name="${escapeHtml(s.name)}">Revoke</button>` : ""}
+          </td>
+        </tr>
+      `;
+    });
+
+    html += "</table>";
+    container.innerHTML = html;
+  } catch (error) {
+    console.error("Load stations error:", error);
+    container.innerHTML = `<p style="color: red;">❌ Could not load stations: ${error.message}</p>`;
+  }
+}
+
+// The key is only shown once, right after it is issued
+function showStationKey(name, apiKey) {
+  Swal.fire({
+    title: `Key for ${name}`,
+    html: `Enter this key on the kiosk (Check-In page → Set station key). It will not be shown again.`,
+    input: "text",
+    inputValue: apiKey,
+    icon: "success"
+  });
+}
+
+document.getElementById("registerStation").addEventListener("click", async () => {
+  const name = document.getElementById("station_name").value.trim();
+  const venue = document.getElementById("station_venue").value.trim();
+  const allowedExams = Array.from(document.getElementById("station_exams").selectedOptions).map(o => o.value);
+
+  if (!name) {
+    Swal.fire("Missing Name", "Give the station a name, e.g. North Door.", "warning");
+    return;
+  }
+
+  try {
+    const res = await apiFetch("/stations", {
+      method: "POST",
+      headers: {"Content-Type": "application/json"},
+      body: JSON.stringify({ name, venue, allowedExams })
+    });
+
+    const json = await res.json();
+
+    if (!json.success) {
+      Swal.fire("Error", json.message, "error");
+      return;
+    }
+
+    document.getElementById("station_name").value = "";
+    document.getElementById("station_venue").value = "";
+    showStationKey(json.data.name, json.apiKey);
+    loadStations();
+  } catch (error) {
+    console.error("Register station error:", error);
+    Swal.fire("Error", "Could not register the station.", "error");
+  }
+});
+
+document.getElementById("stationsTable").addEventListener("click", (e) => {
+  const button = e.target.closest("button[data-action]");
+  if (!button) return;
+
+  const { action, id, name } = button.dataset;
+  if (action === "rotate") rotateStationKey(id, name);
+  if (action === "revoke") revokeStation(id, name);
+});
+
+async function rotateStationKey(stationId, name) {
+  const confirm = await Swal.fire({
+    title: `New key for ${name}?`,
+    text: "The current key stops working immediately.",
+    icon: "warning",
+    showCancelButton: true
+  });
+  if (!confirm.isConfirmed) return;
+
+  try {
+    const res = await apiFetch(`/stations/${stationId}/rotate-key`, { method: "POST" });
+    const json = await res.json();
+
+    if (json.success) {
+      showStationKey(name, json.apiKey);
+      loadStations();
+    } else {
+      Swal.fire("Error", json.message, "error");
+    }
+  } catch (error) {
+    console.error("Rotate station key error:", error);
+    Swal.fire("Error", "Could not issue a new key.", "error");
+  }
+}
+
+async function revokeStation(stationId, name) {
+  const confirm = await Swal.fire({
+    title: `Revoke ${name}?`,
+    text: "Check-ins from this device will be rejected.",
+    icon: "warning",
+    showCancelButton: true
+  });
+  if (!confirm.isConfirmed) return;
+
+  try {
+    const res = await apiFetch(`/stations/${stationId}`, { method: "DELETE" });
+    const json = await res.json();
+
+    Swal.fire(json.success ? "Revoked" : "Error", json.message, json.success ? "success" : "error");
+    loadStations();
+  } catch (error) {
+    console.error("Revoke station error:", error);
+    Swal.fire("Error", "Could not revoke the station.", "error");
+  }
+}
+
+/* ============================================
+   STUDENT DATA (subject export & erasure)
+============================================ */
+document.getElementById("studentsList").addEventListener("click", (e) => {
+  const button = e.target.closest("button[data-action]");
+  if (!button) return;
+
+  const { action, id, name, course } = button.dataset;
+  if (action === "reenroll") startReEnroll({ studentId: id, name, course });
+  if (action === "rollback") rollbackAdaptiveTemplates(id, name);
+  if (action === "export") exportStudentData(id);
+  if (action === "erase") eraseStudent(id, name);
+});
+
+async function exportStudentData(studentId) {
+  try {
+    const res = await apiFetch(`/students/${encodeURIComponent(studentId)}/export`);
+
+    if (!res.ok) {
+      throw new Error(`HTTP ${res.status}: ${res.statusText}`);
+    }
+
+    await downloadResponse(res, `subject_${studentId}.json`);
+  } catch (error) {
+    console.error("Export student data error:", error);
+    Swal.fire("Error", "Could not export this student's data.", "error");
+  }
+}
+
+async function eraseStudent(studentId, name) {
+  const { value: reason } = await Swal.fire({
+    title: `Erase ${name}?`,
+    html: "Face templates and snapshots are deleted and attendance records are anonymised.<br><b>This cannot be undone.</b>",
+    icon: "warning",
+    input: "text",
+    inputPlaceholder: "Reason (e.g. erasure request ref.)",
+    inputValidator: value => !value.trim() && "A reason is required",
+    showCancelButton: true,
+    confirmButtonText: "Erase"
+  });
+  if (!reason) return;
+
+  try {
+    const res = await apiFetch(`/students/${encodeURIComponent(studentId)}/erase`, {
+      method: "POST",
+      headers: {"Content-Type": "application/json"},
+      body: JSON.stringify({ reason })
+    });
+    const json = await res.json();
+
+    if (json.success) {
+      Swal.fire("Erased", `${json.data.templatesDeleted} face templates and ${json.data.snapshotsDeleted} snapshots deleted, ${json.data.attendanceAnonymised} attendance records anonymised.`, "success");
+      loadStudents();
+    } else {
+      Swal.fire("Error", json.message, "error");
+    }
+  } catch (error) {
+    console.error("Erase student error:", error);
+    Swal.fire("Error", "Could not erase this student.", "error");
+  }
+}
+
+/* ============================================
+   RECOGNITION SETTINGS
+============================================ */
+// Threshold, minimum confidence and ambiguity margin come from the server, so
+// offline matching here follows the same rules as the API. The last copy is
+// kept for kiosks that start without a connection.
+let recognitionSettings = JSON.parse(localStorage.getItem("recognitionSettings") || "null") || FaceMatch.DEFAULT_SETTINGS;
+
+async function fetchRecognitionSettings() {
+  const res = await apiFetch("/settings/recognition");
+
+  if (!res.ok) {
+    throw new Error(`HTTP ${res.status}: ${res.statusText}`);
+  }
+
+  return (await res.json()).data;
+}
+
+async function loadRecognitionSettings() {
+  try {
+    recognitionSettings = await fetchRecognitionSettings();
+    localStorage.setItem("recognitionSettings", JSON.stringify(recognitionSettings));
+    console.log(`✅ Recognition settings version ${recognitionSettings.version} loaded`);
+  } catch (error) {
+    console.error("Load settings error:", error);
+    console.log(`⚠️  Using ${recognitionSettings.version ? `cached settings version ${recognitionSettings.version}` : "default settings"}`);
+  }
+}
+
+function addCourseThresholdRow(course = "", threshold = "") {
+  const row = document.createElement("div");
+  row.className = "course-threshold";
+  row.innerHTML = `
+    <input class="course-name" placeholder="Course" value="${escapeHtml(course)}">
+    <input class="course-value" type="number" min="0.1" max="1.5" step="0.01" placeholder="Threshold" value="${threshold}">
+    <button class="link-btn danger" data-action="remove">Remove</button>
+  `;
+  document.getElementById("courseThresholds").appendChild(row);
+}
+
+async function loadSettingsPage() {
+  try {
+    const settings = await fetchRecognitionSettings();
+
+    document.getElementById("settings_threshold").value = settings.matchThreshold;
+    document.getElementById("settings_minConfidence").value = settings.minConfidence;
+    document.getElementById("settings_margin").value = settings.ambiguityMargin;
+    document.getElementById("settingsInfo").textContent =
+      `Version ${settings.version}${settings.updatedBy ? ` · last changed by ${settings.updatedBy} on ${new Date(settings.updatedAt).toLocaleString()}` : ""}`;
+
+    document.getElementById("courseThresholds").innerHTML = "";
+    settings.courseThresholds.forEach(entry => addCourseThresholdRow(entry.course, entry.threshold));
+  } catch (error) {
+    console.error("Load settings page error:", error);
+    document.getElementById("settingsInfo").textContent = `❌ Could not load settings: ${error.message}`;
+  }
+}
+
+document.getElementById("addCourseThreshold").addEventListener("click", () => addCourseThresholdRow());
+
+document.getElementById("courseThresholds").addEventListener("click", (e) => {
+  const button = e.target.closest("button[data-action='remove']");
+  if (button) button.closest(".course-threshold").remove();
+});
+
+document.getElementById("saveSettings").addEventListener("click", async () => {
+  const courseThresholds = Array.from(document.querySelectorAll("#courseThresholds .course-threshold"))
+    .map(row => ({
+      course: row.querySelector(".course-name").value.trim(),
+      threshold: parseFloat(row.querySelector(".course-value").value)
+    }))
+    .filter(entry => entry.course);
+
+  try {
+    const res = await apiFetch("/settings/recognition", {
+      method: "PUT",
+      headers: {"Content-Type": "application/json"},
+      body: JSON.stringify({
+        matchThreshold: parseFloat(document.getElementById("settings_threshold").value),
+        minConfidence: parseFloat(document.getElementById("settings_minConfidence").value),
+        ambiguityMargin: parseFloat(document.getElementById("settings_margin").value),
+        courseThresholds
+      })
+    });
+    const json = await res.json();
+
+    if (json.success) {
+      Swal.fire("Saved", `Recognition settings are now version ${json.data.version}.`, "success");
+      loadSettingsPage();
+    } else {
+      Swal.fire("Error", json.message, "error");
+    }
+  } catch (error) {
+    console.error("Save settings error:", error);
+    Swal.fire("Error", "Could not save the settings.", "error");
+  }
+});
+
+/* ============================================
+   AUDIT LOG
+============================================ */
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, c => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+}
+
+// One line per changed field: "name: Old → New"
+function formatAuditChanges(entry) {
+  const show = (value) => {
+    if (value === null || value === undefined) return "∅";
+    const text = typeof value === "object" ? JSON.stringify(value) : String(value);
+    return escapeHtml(text.length > 80 ? `${text.slice(0, 77)}...` : text);
+  };
+
+  const lines = Object.entries(entry.changes || {})
+    .map(([field, change]) => `<b>${escapeHtml(field)}</b>: ${show(change.from)} → ${show(change.to)}`);
+
+  if (entry.details) lines.push(`<small>${show(entry.details)}</small>`);
+
+  return lines.join("<br>") || "-";
+}
+
+async function loadAudit() {
+  const container = document.getElementById("auditTable");
+  const params = filterParams([["actor", "audit_actor"], ["action", "audit_action"], ["targetId", "audit_target"], ["from", "audit_from"], ["to", "audit_to"]]);
+
+  try {
+    const res = await apiFetch(`/audit?${params}`);
+
+    if (!res.ok) {
+      throw new Error(`HTTP ${res.status}: ${res.statusText}`);
+    }
+
+    const json = await res.json();
+
+    if (json.count === 0) {
+      container.innerHTML = `<p>No audit entries match these filters.</p>`;
+      return;
+    }
+
+    let html = `
+      <p>Showing ${json.count} of ${json.total} entries</p>
+      <table>
+        <tr><th>Time</th><th>Actor</th><th>Action</th><th>Target</th><th>Station / IP</th><th>Changes</th></tr>
+    `;
+
+    json.data.forEach(entry => {
+      html += `
+        <tr>
+          <td>${new Date(entry.createdAt).toLocaleString()}</td>
+          <td>${escapeHtml(entry.actor)}${entry.actorRole ? ` <small>(${entry.actorRole})</small>` : ""}</td>
+          <td>${escapeHtml(entry.action)}</td>
+          <td>${escapeHtml(entry.targetType)}${entry.targetId ? ` ${escapeHtml(entry.targetId)}` : ""}</td>
+          <td>${escapeHtml(entry.station || "-")}<br><small>${escapeHtml(entry.ip || "")}</small></td>
+          <td>${formatAuditChanges(entry)}</td>
+        </tr>
+      `;
+    });
+
+    html += "</table>";
+    container.innerHTML = html;
+  } catch (error) {
+    console.error("Load audit error:", error);
+    container.innerHTML = `<p style="color: red;">❌ Could not load the audit log: ${error.message}</p>`;
+  }
+}
+
+document.getElementById("loadAudit").addEventListener("click", loadAudit);
+
+/* ============================================
+   OFFLINE KIOSK (IndexedDB + sync queue)
+============================================ */
+const DB_NAME = "examattendance";
+const DB_VERSION = 1;
+const QUEUE_RETRY_MS = 30000;
+
+let offlineStudents = [];
+let replaying = false;
+
+function openOfflineDb() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      db.createObjectStore("students", { keyPath: "id" });
+      db.createObjectStore("checkinQueue", { keyPath: "clientId" });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Run one operation against an object store and resolve with its result
+async function dbRequest(storeName, mode, operation) {
+  const db = await openOfflineDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const request = operation(tx.objectStore(storeName));
+    tx.oncomplete = () => {
+      db.close();
+      resolve(request && request.result);
+    };
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+const dbGetAll = (storeName) => dbRequest(storeName, "readonly", store => store.getAll());
+const dbPut = (storeName, value) => dbRequest(storeName, "readwrite", store => store.put(value));
+const dbDelete = (storeName, key) => dbRequest(storeName, "readwrite", store => store.delete(key));
+
+function newClientId() {
+  if (window.crypto && crypto.randomUUID) return crypto.randomUUID();
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+}
+
+// Keep a local copy of the face templates so the kiosk can still recognise students offline
+async function syncOfflineStudents() {
+  try {
+    const res = await apiFetch("/students/descriptors");
+
+    if (!res.ok) {
+      throw new Error(`HTTP ${res.status}: ${res.statusText}`);
+    }
+
+    const json = await res.json();
+    offlineStudents = json.data || [];
+
+    await dbRequest("students", "readwrite", store => {
+      store.clear();
+      offlineStudents.forEach(student => store.put(student));
+    });
+    console.log(`✅ Cached ${offlineStudents.length} students for offline check-in`);
+  } catch (error) {
+    console.error("Sync students error:", error);
+    offlineStudents = await dbGetAll("students").catch(() => []);
+    console.log(`⚠️  Using ${offlineStudents.length} cached students`);
+  }
+}
+
+// Match locally and queue the check-in; the server re-verifies the descriptor on replay
+// Returns { status: "queued" | "unknown" | "rejected" | "already_checked_in", name?, confidence? }
+async function queueOfflineCheckIn(checkIn) {
+  const match = FaceMatch.matchFace(checkIn.faceDescriptor, offlineStudents, recognitionSettings);
+
+  if (match.status === "ambiguous") {
+    return { status: "rejected", message: `Too close to call between ${match.candidate.name} and ${match.runnerUp.candidate.name} - try again or record a manual check-in` };
+  }
+  if (match.status !== "matched") {
+    return { status: "unknown", message: "No match found in the offline student list" };
+  }
+
+  const student = match.candidate;
+  const queued = await dbGetAll("checkinQueue");
+
+  if (queued.some(entry => entry.studentId === student.id && entry.checkIn.examId === checkIn.examId)) {
+    return { status: "already_checked_in", name: student.name, message: `${student.name} is already checked in (waiting to sync)` };
+  }
+
+  await dbPut("checkinQueue", {
+    clientId: checkIn.clientId,
+    studentId: student.id,
+    name: student.name,
+    checkIn
+  });
+
+  updateSyncStatus();
+  return { status: "queued", name: student.name, confidence: match.confidence };
+}
+
+// Send queued check-ins oldest first; stops at the first network failure
+async function replayQueue() {
+  if (replaying || !navigator.onLine || !currentUser) return;
+  replaying = true;
+
+  let synced = 0;
+  const rejected = [];
+
+  try {
+    const queued = (await dbGetAll("checkinQueue"))
+      .sort((a, b) => a.checkIn.capturedAt.localeCompare(b.checkIn.capturedAt));
+
+    for (const entry of queued) {
+      let res;
+      try {
+        res = await apiFetch("/attendance/verify", {
+          method: "POST",
+          headers: {"Content-Type": "application/json"},
+          // queued tells the server to keep the original capture time
+          body: JSON.stringify({ ...entry.checkIn, queued: true })
+        });
+      } catch (error) {
+        break; // Still offline
+      }
+
+      // Server errors and expired logins are retried later; anything else is final
+      if (res.status >= 500 || res.status === 401) break;
+
+      const data = await res.json();
+      if (!data.success && res.status !== 409) {
+        rejected.push(`${entry.name}: ${data.message}`);
+      }
+
+      await dbDelete("checkinQueue", entry.clientId);
+      synced++;
+    }
+  } catch (error) {
+    console.error("Replay queue error:", error);
+  } finally {
+    replaying = false;
+  }
+
+  if (synced > 0) {
+    console.log(`✅ Synced ${synced} queued check-ins`);
+    loadAttendance();
+  }
+
+  if (rejected.length > 0) {
+    Swal.fire("Offline Check-ins Rejected", rejected.map(escapeHtml).join("<br>"), "warning");
+  }
+
+  updateSyncStatus();
+}
+
+async function updateSyncStatus() {
+  const pending = (await dbGetAll("checkinQueue").catch(() => [])).length;
+  const status = document.getElementById("syncStatus");
+
+  status.textContent = `${navigator.onLine ? "🟢 Online" : "🔴 Offline"} · ${pending} pending`;
+  status.classList.toggle("offline", !navigator.onLine || pending > 0);
+}
+
+window.addEventListener("online", replayQueue);
+window.addEventListener("offline", updateSyncStatus);
+setInterval(replayQueue, QUEUE_RETRY_MS);
+
+if ("serviceWorker" in navigator) {
+  navigator.serviceWorker.register("sw.js")
+    .then(() => console.log("✅ Service worker registered"))
+    .catch(error => console.error("Service worker error:", error));
+}
+
+/* ============================================
+   BATCH CHECK-IN (every face in the frame)
+============================================ */
+// Faces are labelled with the kiosk's cached student list; the server still
+// re-matches every descriptor when they are checked in. Batch liveness is
+// blink-only - a head-turn challenge can't be shown to a whole queue.
+const BATCH_FACE_TIMEOUT_MS = 1000;
+
+const BATCH_LABELS = {
+  waiting: "blink to confirm",
+  ready: "ready",
+  submitting: "checking in...",
+  checked_in: "checked in",
+  already_checked_in: "already checked in",
+  queued: "saved offline",
+  unknown: "not recognised",
+  ambiguous: "too close to call",
+  rejected: "rejected"
+};
+
+const BATCH_COLORS = {
+  waiting: "#f59e0b",
+  ready: "#4f46e5",
+  submitting: "#4f46e5",
+  checked_in: "#059669",
+  already_checked_in: "#0ea5e9",
+  queued: "#059669",
+  unknown: "#dc2626",
+  ambiguous: "#dc2626",
+  rejected: "#dc2626"
+};
+
+let batchMode = false;
+let batchSubmitting = false;
+let batchFaces = new Map(); // studentId -> { name, liveness, status, descriptor, lastSeen, message }
+let batchUnknownCount = 0;
+
+function resetBatch() {
+  batchFaces = new Map();
+  batchUnknownCount = 0;
+  renderBatchResults();
+}
+
+// Called for every frame in batch mode; returns the overlay label for each face
+function onBatchDetections(detections) {
+  const now = Date.now();
+  const verifyBtn = document.getElementById("startVerify");
+
+  // A face that left the frame has to prove liveness again
+  batchFaces.forEach(face => {
+    if ((face.status === "waiting" || face.status === "ready") && now - face.lastSeen > BATCH_FACE_TIMEOUT_MS) {
+      face.status = "waiting";
+      face.liveness = newLivenessState(false);
+    }
+  });
+
+  batchUnknownCount = 0;
+  const labels = detections.map(det => {
+    const descriptor = Array.from(det.descriptor);
+    const match = FaceMatch.matchFace(descriptor, offlineStudents, recognitionSettings);
+
+    if (match.status !== "matched") {
+      batchUnknownCount++;
+      return match.status === "ambiguous"
+        ? { text: "Too close to call", color: BATCH_COLORS.ambiguous }
+        : { text: "Unknown", color: BATCH_COLORS.unknown };
+    }
+
+    const student = match.candidate;
+    let face = batchFaces.get(student.id);
+    if (!face) {
+      face = { studentId: student.id, name: student.name, liveness: newLivenessState(false), status: "waiting" };
+      batchFaces.set(student.id, face);
+    }
+
+    face.descriptor = descriptor;
+    face.box = det.detection.box;
+    face.lastSeen = now;
+    if (face.status === "waiting" && updateLiveness(det, face.liveness)) face.status = "ready";
+
+    return { text: `${student.name} · ${BATCH_LABELS[face.status]}`, color: BATCH_COLORS[face.status] };
+  });
+
+  const hasReady = Array.from(batchFaces.values()).some(face => face.status === "ready");
+  verifyBtn.classList.toggle("disabled", !(hasReady && activeExamId));
+
+  if (autoMode && hasReady && activeExamId) submitBatch();
+
+  renderBatchResults();
+  return labels;
+}
+
+// Check in every face that is live and still in view
+async function submitBatch() {
+  if (batchSubmitting || !activeExamId) return;
+
+  const now = Date.now();
+  const ready = Array.from(batchFaces.values())
+    .filter(face => face.status === "ready" && now - face.lastSeen <= BATCH_FACE_TIMEOUT_MS);
+  if (ready.length === 0) return;
+
+  batchSubmitting = true;
+  ready.forEach(face => {
+    face.status = "submitting";
+    face.checkIn = {
+      clientId: newClientId(),
+      faceDescriptor: face.descriptor,
+      examId: activeExamId,
+      station: STATION_NAME,
+      liveness: livenessResult(face.liveness),
+      snapshot: captureSnapshot(document.getElementById("video"), face.box),
+      capturedAt: new Date().toISOString()
+    };
+  });
+  renderBatchResults();
+
+  try {
+    if (!navigator.onLine) throw new Error("Offline");
+
+    const res = await apiFetch("/attendance/verify-batch", {
+      method: "POST",
+      headers: {"Content-Type": "application/json"},
+      body: JSON.stringify({
+        examId: activeExamId,
+        station: STATION_NAME,
+        faces: ready.map(face => face.checkIn)
+      })
+    });
+
+    if (res.status >= 500) throw new Error(`HTTP ${res.status}: ${res.statusText}`);
+
+    const json = await res.json();
+
+    if (!json.success) {
+      ready.forEach(face => {
+        face.status = "rejected";
+        face.message = json.message;
+      });
+    } else {
+      json.data.forEach(result => {
+        const face = ready[result.index];
+        face.status = result.outcome;
+        face.message = result.success ? "" : result.message;
+      });
+      loadAttendance();
+      loadInRoom();
+    }
+  } catch (error) {
+    // Server unreachable - queue each face for sync like a single check-in
+    console.error("Batch check-in error:", error);
+    for (const face of ready) {
+      const queued = await queueOfflineCheckIn(face.checkIn);
+      face.status = queued.status;
+      face.message = "";
+    }
+  } finally {
+    batchSubmitting = false;
+    renderBatchResults();
+  }
+}
+
+function renderBatchResults() {
+  const list = document.getElementById("batchResults");
+
+  const rows = Array.from(batchFaces.values())
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .map(face => `
+      <li style="border-left-color: ${BATCH_COLORS[face.status]}">
+        <b>${escapeHtml(face.name)}</b>
+        <small>${escapeHtml(face.studentId)} · ${BATCH_LABELS[face.status]}${face.message ? ` - ${escapeHtml(face.message)}` : ""}</small>
+      </li>
+    `);
+
+  if (batchUnknownCount > 0) {
+    rows.push(`
+      <li style="border-left-color: ${BATCH_COLORS.unknown}">
+        <b>Unknown face${batchUnknownCount > 1 ? "s" : ""} (${batchUnknownCount})</b>
+        <small>Not in the student list</small>
+      </li>
+    `);
+  }
+
+  list.innerHTML = rows.join("") || `<li><small>No faces detected yet</small></li>`;
+}
+
+document.getElementById("batchMode").addEventListener("change", (e) => {
+  batchMode = e.target.checked;
+  document.getElementById("batchResults").classList.toggle("hidden", !batchMode);
+  document.getElementById("startVerify").textContent = batchMode ? "Check In All Ready Faces" : "Verify Identity";
+  document.getElementById("startCheckout").classList.toggle("hidden", batchMode);
+  document.getElementById("verifyResult").classList.toggle("hidden", batchMode);
+  resetBatch();
+  resetLiveness();
+});
+
+/* ============================================
+   AUTO CHECK-IN (hands-free kiosk)
+============================================ */
+// A face is only submitted once the same student has matched in
+// AUTO_CONFIRM_FRAMES consecutive frames and passed liveness. Matching uses
+// the kiosk's cached student list; the server re-verifies every check-in.
+const AUTO_CONFIRM_FRAMES = 5;
+const AUTO_COOLDOWN_MS = 30000;
+const AUTO_BANNER_MS = 3000;
+
+let autoMode = false;
+let autoStreak = { studentId: null, frames: 0 };
+let autoBusyUntil = 0;
+let autoCooldowns = new Map(); // studentId -> time the student may be submitted again
+let audioCtx = null;
+
+function resetAutoStreak() {
+  autoStreak = { studentId: null, frames: 0 };
+}
+
+async function onAutoDetection(detection, live) {
+  const now = Date.now();
+  if (!activeExamId || now < autoBusyUntil) return;
+
+  const faceDescriptor = Array.from(detection.descriptor);
+  const match = FaceMatch.findBestMatch(faceDescriptor, offlineStudents, recognitionSettings);
+
+  if (!match) {
+    resetAutoStreak();
+    return;
+  }
+
+  const studentId = match.candidate.id;
+  autoStreak = {
+    studentId,
+    frames: autoStreak.studentId === studentId ? autoStreak.frames + 1 : 1
+  };
+
+  if (autoStreak.frames < AUTO_CONFIRM_FRAMES || !live) return;
+  if ((autoCooldowns.get(studentId) || 0) > now) return;
+
+  // Hold the kiosk until the server has answered and the banner has shown
+  autoBusyUntil = Infinity;
+  autoCooldowns.set(studentId, now + AUTO_COOLDOWN_MS);
+  resetAutoStreak();
+
+  const checkIn = buildCheckIn(faceDescriptor, detection.detection.box);
+  resetLiveness();
+
+  try {
+    const result = await sendCheckIn(checkIn);
+    showWelcomeBanner(result);
+  } catch (error) {
+    console.error("Auto check-in error:", error);
+  } finally {
+    // Released whatever happened, so one failed request can't stop auto mode
+    autoBusyUntil = Date.now() + AUTO_BANNER_MS;
+  }
+}
+
+function showWelcomeBanner(result) {
+  const banner = document.getElementById("welcomeBanner");
+  const ok = result.status === "checked_in" || result.status === "queued";
+
+  banner.className = `welcome-banner ${ok ? "success" : result.status === "already_checked_in" ? "info" : "error"}`;
+
+  document.getElementById("welcomeTitle").textContent = ok
+    ? `Welcome, ${result.name}!`
+    : result.status === "already_checked_in" ? "Already Checked In" : "Not Recognized";
+
+  document.getElementById("welcomeMessage").textContent = result.status === "queued"
+    ? "Saved offline - this check-in will sync when the connection returns."
+    : ok ? `Checked in (${result.confidence}% match)` : result.message || "";
+
+  playChime(ok);
+  setTimeout(() => banner.classList.add("hidden"), AUTO_BANNER_MS);
+}
+
+// Two rising tones for a check-in, two falling ones for anything else
+function playChime(ok) {
+  if (!audioCtx) return;
+
+  const notes = ok ? [660, 880] : [440, 330];
+  notes.forEach((frequency, i) => {
+    const osc = audioCtx.createOscillator();
+    const gain = audioCtx.createGain();
+    const start = audioCtx.currentTime + i * 0.18;
+
+    osc.frequency.value = frequency;
+    gain.gain.value = 0.2;
+    osc.connect(gain).connect(audioCtx.destination);
+    osc.start(start);
+    osc.stop(start + 0.15);
+  });
+}
+
+document.getElementById("autoMode").addEventListener("change", (e) => {
+  autoMode = e.target.checked;
+  resetAutoStreak();
+  autoCooldowns = new Map();
+
+  // Browsers only allow audio that was started from a user gesture
+  if (autoMode && !audioCtx && (window.AudioContext || window.webkitAudioContext)) {
+    audioCtx = new (window.AudioContext || window.webkitAudioContext)();
+  }
+});
+
+/* ============================================
+   EVIDENCE SNAPSHOTS
+============================================ */
+// Each check-in carries a JPEG crop of the matched face so a disputed record
+// can be checked by eye. The server drops them after its retention period.
+const SNAPSHOT_MARGIN = 0.3;
+const SNAPSHOT_MAX_WIDTH = 320;
+const SNAPSHOT_THUMB_WIDTH = 64;
+const SNAPSHOT_QUALITY = 0.85;
+
+// Object URLs of thumbnails already fetched, by attendance id
+const snapshotThumbs = new Map();
+
+function cropToJpeg(video, region, width) {
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.round(width);
+  canvas.height = Math.round(width * region.height / region.width);
+  canvas.getContext("2d").drawImage(video, region.x, region.y, region.width, region.height, 0, 0, canvas.width, canvas.height);
+  return canvas.toDataURL("image/jpeg", SNAPSHOT_QUALITY);
+}
+
+// Crop the face (plus a margin) out of the current video frame; box is in video pixels
+function captureSnapshot(video, box) {
+  if (!video || !box || !video.videoWidth) return undefined;
+
+  const marginX = box.width * SNAPSHOT_MARGIN;
+  const marginY = box.height * SNAPSHOT_MARGIN;
+  const x = Math.max(0, box.x - marginX);
+  const y = Math.max(0, box.y - marginY);
+  const region = {
+    x,
+    y,
+    width: Math.min(video.videoWidth, box.x + box.width + marginX) - x,
+    height: Math.min(video.videoHeight, box.y + box.height + marginY) - y
+  };
+  if (region.width <= 0 || region.height <= 0) return undefined;
+
+  return {
+    image: cropToJpeg(video, region, Math.min(region.width, SNAPSHOT_MAX_WIDTH)),
+    thumbnail: cropToJpeg(video, region, SNAPSHOT_THUMB_WIDTH)
+  };
+}
+
+// Snapshots need the auth header, so they are fetched as blobs rather than <img src>
+async function fetchSnapshot(attendanceId, size) {
+  const res = await apiFetch(`/attendance/${attendanceId}/snapshot${size ? `?size=${size}` : ""}`);
+
+  if (!res.ok) {
+    const json = await res.json().catch(() => ({}));
+    throw new Error(json.message || `HTTP ${res.status}: ${res.statusText}`);
+  }
+
+  return URL.createObjectURL(await res.blob());
+}
+
+async function loadSnapshotThumbs(container) {
+  const images = container.querySelectorAll("img.snapshot-thumb[data-id]");
+
+  for (const img of images) {
+    const id = img.dataset.id;
+    try {
+      if (!snapshotThumbs.has(id)) snapshotThumbs.set(id, await fetchSnapshot(id, "thumb"));
+      img.src = snapshotThumbs.get(id);
+    } catch (error) {
+      console.error("Load snapshot error:", error);
+      img.replaceWith("-");
+    }
+  }
+}
+
+document.getElementById("attendanceTable").addEventListener("click", async (e) => {
+  const img = e.target.closest("img.snapshot-thumb");
+  if (!img) return;
+
+  try {
+    const url = await fetchSnapshot(img.dataset.id);
+    await Swal.fire({ title: img.alt, imageUrl: url, imageAlt: img.alt });
+    URL.revokeObjectURL(url);
+  } catch (error) {
+    Swal.fire("Snapshot", error.message, "info");
+  }
+});
+
+/* ============================================
+   CHECK IN / VERIFY FACE
+============================================ */
+// Pass the face's box to attach an evidence snapshot (check-outs don't carry one)
+function buildCheckIn(faceDescriptor, box) {
+  return {
+    clientId: newClientId(),
+    faceDescriptor,
+    examId: activeExamId,
+    station: STATION_NAME,
+    liveness: livenessResult(),
+    snapshot: box ? captureSnapshot(document.getElementById("video"), box) : undefined,
+    capturedAt: new Date().toISOString()
+  };
+}
+
+// Sends one check-in, falling back to the offline queue when the server can't be reached.
+// Returns { status: "checked_in" | "queued" | "unknown" | "already_checked_in" | "rejected", name?, confidence?, message? }
+async function sendCheckIn(checkIn) {
+  if (!navigator.onLine) return queueOfflineCheckIn(checkIn);
+
+  try {
+    // The server matches the face and decides who is checked in
+    const res = await apiFetch("/attendance/verify", {
+      method: "POST",
+      headers: {"Content-Type": "application/json"},
+      body: JSON.stringify(checkIn)
+    });
+
+    const data = await res.json();
+
+    if (data.success) {
+      loadAttendance();
+      loadInRoom();
+      return { status: "checked_in", name: data.data.name, confidence: data.data.confidence };
+    }
+    if (res.status === 404) return { status: "unknown", message: data.message };
+    if (res.status === 409) return { status: "already_checked_in", message: data.message };
+    return { status: "rejected", message: data.message };
+  } catch (error) {
+    // Server unreachable - keep the check-in and sync it when the connection returns
+    console.error("Check-in error:", error);
+    return queueOfflineCheckIn(checkIn);
+  }
 }
 
 document.getElementById("startVerify").addEventListener("click", async () => {
+  if (!activeExamId) {
+    Swal.fire("No Exam Session", "Select the active exam session first.", "warning");
+    return;
+  }
+
+  if (batchMode) {
+    await submitBatch();
+    return;
+  }
+
   if (!checkInDetections || checkInDetections.length === 0) {
     Swal.fire("No Face Detected", "Try again.", "error");
     return;
   }
 
-  if (studentDescriptors.length === 0) {
-    Swal.fire("No Students", "No students registered yet.", "warning");
+  if (!livenessPassed()) {
+    Swal.fire("Liveness Check", "Please follow the on-screen prompt before verifying.", "warning");
     return;
   }
 
-  const faceDescriptor = Array.from(checkInDetections[0].descriptor);
+  const checkIn = buildCheckIn(Array.from(checkInDetections[0].descriptor), checkInDetections[0].detection.box);
 
-  let bestMatch = null;
-  let bestDistance = 0.6; // Threshold
+  // Every check-in attempt needs a fresh liveness proof
+  resetLiveness();
 
-  studentDescriptors.forEach(student => {
-    const distance = euclideanDistance(faceDescriptor, student.faceData);
-    if (distance < bestDistance) {
-      bestDistance = distance;
-      bestMatch = student;
-    }
-  });
+  const result = await sendCheckIn(checkIn);
+
+  if (result.status === "checked_in") {
+    Swal.fire("Success", `Welcome ${result.name}! (${result.confidence}% match)`, "success");
+  } else if (result.status === "queued") {
+    Swal.fire("Saved Offline", `Welcome ${result.name}! (${result.confidence}% match)<br>This check-in will sync when the connection returns.`, "success");
+  } else if (result.status === "unknown") {
+    Swal.fire("Not Recognized", result.message, "error");
+  } else {
+    Swal.fire("Info", result.message, "info");
+  }
+});
 
-  if (!bestMatch) {
-    Swal.fire("Not Recognized", "No match found in system", "error");
+/* ============================================
+   CHECK OUT
+============================================ */
+document.getElementById("startCheckout").addEventListener("click", async () => {
+  if (!activeExamId) {
+    Swal.fire("No Exam Session", "Select the active exam session first.", "warning");
+    return;
+  }
+
+  if (!checkInDetections || checkInDetections.length === 0) {
+    Swal.fire("No Face Detected", "Try again.", "error");
+    return;
+  }
+
+  if (!livenessPassed()) {
+    Swal.fire("Liveness Check", "Please follow the on-screen prompt before checking out.", "warning");
     return;
   }
 
-  const confidence = ((1 - bestDistance) * 100).toFixed(1);
+  const checkOut = buildCheckIn(Array.from(checkInDetections[0].descriptor));
+  resetLiveness();
 
   try {
-    // Mark attendance
-    const res = await fetch(`${API}/attendance/checkin`, {
+    const res = await apiFetch("/attendance/checkout", {
       method: "POST",
       headers: {"Content-Type": "application/json"},
-      body: JSON.stringify({
-        studentId: bestMatch.id,
-        name: bestMatch.name,
-        course: bestMatch.course,
-        confidence
-      })
+      body: JSON.stringify(checkOut)
     });
 
     const data = await res.json();
 
     if (data.success) {
-      Swal.fire("Success", `Welcome ${bestMatch.name}!`, "success");
+      Swal.fire("Checked Out", `Goodbye ${data.data.name}! In the room for ${data.data.durationMinutes} min.`, "success");
       loadAttendance();
+      loadInRoom();
+    } else if (res.status === 404) {
+      Swal.fire("Not Recognized", data.message, "error");
     } else {
       Swal.fire("Info", data.message, "info");
     }
   } catch (error) {
-    console.error("Check-in error:", error);
-    Swal.fire("Error", "Could not mark attendance. Check server connection.", "error");
+    // Check-outs are not queued offline: the time in the room must come from the server
+    console.error("Checkout error:", error);
+    Swal.fire("Error", "Could not reach the server to check out. Please try again.", "error");
+  }
+});
+
+// Candidates checked in to the active session who haven't left yet
+async function loadInRoom() {
+  const list = document.getElementById("inRoomList");
+  const count = document.getElementById("inRoomCount");
+
+  if (!activeExamId) {
+    list.innerHTML = "<li><small>Select an exam session to see who is in the room.</small></li>";
+    count.textContent = "";
+    return;
+  }
+
+  try {
+    const res = await apiFetch(`/attendance/in-room?examId=${encodeURIComponent(activeExamId)}`);
+
+    if (!res.ok) {
+      throw new Error(`HTTP ${res.status}: ${res.statusText}`);
+    }
+
+    const json = await res.json();
+    count.textContent = json.count;
+
+    list.innerHTML = json.data.map(a => `
+      <li>
+        <b>${escapeHtml(a.name)}</b>
+        <small>${escapeHtml(a.studentId)} · in since ${new Date(a.checkInTime).toLocaleTimeString()}</small>
+      </li>
+    `).join("") || "<li><small>Nobody is checked in.</small></li>";
+  } catch (error) {
+    console.error("Load in-room error:", error);
+    list.innerHTML = `<li><small>Could not load: ${error.message}</small></li>`;
+  }
+}
+
+/* ============================================
+   MANUAL OVERRIDE
+============================================ */
+document.getElementById("manualOverride").addEventListener("click", async () => {
+  const studentId = document.getElementById("manual_studentId").value.trim();
+  const status = document.getElementById("manual_status").value;
+  const idCardNumber = document.getElementById("manual_idCard").value.trim();
+  const reason = document.getElementById("manual_reason").value.trim();
+
+  if (!activeExamId) {
+    Swal.fire("No Exam Session", "Select the active exam session first.", "warning");
+    return;
+  }
+
+  if (!studentId || !reason || (status === "present" && !idCardNumber)) {
+    Swal.fire("Missing Fields", "Student ID and a reason are required, plus the ID card number for a manual check-in.", "warning");
+    return;
+  }
+
+  try {
+    const res = await apiFetch("/attendance/manual", {
+      method: "POST",
+      headers: {"Content-Type": "application/json"},
+      body: JSON.stringify({ examId: activeExamId, studentId, status, idCardNumber, reason, station: STATION_NAME })
+    });
+
+    const data = await res.json();
+
+    if (!data.success) {
+      Swal.fire("Not Recorded", data.message, res.status === 409 ? "info" : "error");
+      return;
+    }
+
+    Swal.fire("Override Recorded", `${data.data.name} marked ${data.data.status} (manual).`, "success");
+
+    ["manual_studentId", "manual_idCard", "manual_reason"].forEach(id => {
+      document.getElementById(id).value = "";
+    });
+    loadAttendance();
+    loadInRoom();
+  } catch (error) {
+    console.error("Manual override error:", error);
+    Swal.fire("Error", "Could not reach the server to record the override.", "error");
   }
 });
 
 /* ============================================
    EXPORT CSV
 ============================================ */
-document.getElementById("exportCSV").addEventListener("click", () => {
-  window.open(`${API}/attendance/today?format=csv`, '_blank');
+document.getElementById("exportCSV").addEventListener("click", async () => {
+  try {
+    // Fetched rather than opened in a new tab so the login token is sent
+    const res = await apiFetch("/attendance/today?format=csv");
+
+    if (!res.ok) {
+      throw new Error(`HTTP ${res.status}: ${res.statusText}`);
+    }
 
+    await downloadResponse(res, "attendance.csv");
+  } catch (error) {
+    console.error("Export error:", error);
+    Swal.fire("Error", "Could not export attendance.", "error");
+  }
 });
+
+// Save a fetched response as a file, named by its Content-Disposition if it has one
+async function downloadResponse(res, fallbackName) {
+  const disposition = res.headers.get("Content-Disposition") || "";
+  const match = disposition.match(/filename="?([^";]+)"?/);
+
+  const url = URL.createObjectURL(await res.blob());
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = match ? match[1] : fallbackName;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+/* ============================================
+   START
+============================================ */
+updateSyncStatus();
+restoreSession();
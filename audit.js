@@ -0,0 +1,84 @@
+// Audit trail for every write the API makes. Entries record who did what to
+// which record, with a field-level before/after diff. Face descriptors and
+// password hashes never go into the log - only the fact that they changed.
+
+const db = require('./repository');
+
+// Bookkeeping fields left out of diffs
+const IGNORED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt'];
+
+// Fields summarised instead of copied into the log
+const templateCount = (value) => {
+  const count = Array.isArray(value) ? value.length : 0;
+  return `[${count} face template${count === 1 ? '' : 's'}]`;
+};
+
+const REDACTED_FIELDS = {
+  faceTemplates: templateCount,
+  proposedTemplates: templateCount,
+  faceDescriptor: () => '[face descriptor]',
+  passwordHash: () => '[password]',
+  keyHash: () => '[station key]'
+};
+
+// Plain JSON copy of a Mongoose document or object (ObjectIds and Dates become strings)
+const toPlain = (doc) => {
+  if (!doc) return null;
+  return JSON.parse(JSON.stringify(doc.toObject ? doc.toObject() : doc));
+};
+
+const summarise = (field, value) => {
+  if (value === undefined) return null;
+  return REDACTED_FIELDS[field] ? REDACTED_FIELDS[field](value) : value;
+};
+
+// { field: { from, to } } for every top-level field that differs.
+// Redacted fields are marked { redacted: true } so a same-size template swap still shows up.
+const diffForAudit = (before, after) => {
+  const from = toPlain(before) || {};
+  const to = toPlain(after) || {};
+  const changes = {};
+
+  new Set([...Object.keys(from), ...Object.keys(to)]).forEach(field => {
+    if (IGNORED_FIELDS.includes(field)) return;
+    if (JSON.stringify(from[field]) === JSON.stringify(to[field])) return;
+
+    changes[field] = { from: summarise(field, from[field]), to: summarise(field, to[field]) };
+    if (REDACTED_FIELDS[field]) changes[field].redacted = true;
+  });
+
+  return changes;
+};
+
+// The registered kiosk the request came from, or the station name it sent
+const stationName = (req) => {
+  if (!req) return undefined;
+  if (req.station) return req.station.name;
+  return req.body && req.body.station ? String(req.body.station).trim() : undefined;
+};
+
+// Append an audit entry for a write. req supplies the actor, IP and station;
+// pass null for writes the server makes on its own. A failed audit write is
+// logged but does not fail the request - the change has already been made.
+const recordAudit = async (req, { action, targetType, targetId, before, after, details, station }) => {
+  try {
+    await db.auditLog.create({
+      actor: req ? (req.user ? req.user.username : 'anonymous') : 'system',
+      actorRole: req && req.user ? req.user.role : undefined,
+      action,
+      targetType,
+      targetId: targetId != null ? String(targetId) : undefined,
+      changes: before || after ? diffForAudit(before, after) : undefined,
+      details,
+      ip: req ? req.ip : undefined,
+      station: station || stationName(req)
+    });
+  } catch (error) {
+    console.error('❌ Audit log write failed:', action, targetId, error.message);
+  }
+};
+
+module.exports = {
+  recordAudit,
+  diffForAudit
+};
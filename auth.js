@@ -0,0 +1,178 @@
+const crypto = require('crypto');
+const db = require('./repository');
+
+// Secret used to sign login tokens. Set AUTH_SECRET in production, otherwise
+// every restart generates a new one and logs everybody out.
+const AUTH_SECRET = process.env.AUTH_SECRET || crypto.randomBytes(32).toString('hex');
+if (!process.env.AUTH_SECRET) {
+  console.log('⚠️  AUTH_SECRET not set - using a random secret, logins will not survive a restart');
+}
+
+const TOKEN_TTL_HOURS = parseInt(process.env.AUTH_TOKEN_TTL_HOURS, 10) || 12;
+
+// ========== PASSWORDS ==========
+
+const hashPassword = (password) => new Promise((resolve, reject) => {
+  const salt = crypto.randomBytes(16).toString('hex');
+  crypto.scrypt(password, salt, 64, (err, key) => {
+    if (err) return reject(err);
+    resolve(`${salt}:${key.toString('hex')}`);
+  });
+});
+
+const verifyPassword = (password, stored) => new Promise((resolve, reject) => {
+  const [salt, hash] = (stored || '').split(':');
+  if (!salt || !hash) return resolve(false);
+
+  crypto.scrypt(password, salt, 64, (err, key) => {
+    if (err) return reject(err);
+    const expected = Buffer.from(hash, 'hex');
+    resolve(expected.length === key.length && crypto.timingSafeEqual(expected, key));
+  });
+});
+
+// ========== STATION KEYS ==========
+// Kiosks send their key as X-Station-Key. Keys are random; only the SHA-256 hash is stored.
+
+const generateStationKey = () => `stk_${crypto.randomBytes(24).toString('base64url')}`;
+
+const hashStationKey = (key) => crypto.createHash('sha256').update(String(key)).digest('hex');
+
+// ========== TOKENS ==========
+// Format: base64url(JSON payload).base64url(HMAC-SHA256 signature)
+
+const sign = (data) => crypto.createHmac('sha256', AUTH_SECRET).update(data).digest('base64url');
+
+const issueToken = (user) => {
+  const payload = Buffer.from(JSON.stringify({
+    sub: user._id.toString(),
+    role: user.role,
+    exp: Date.now() + TOKEN_TTL_HOURS * 60 * 60 * 1000
+  })).toString('base64url');
+
+  return `${payload}.${sign(payload)}`;
+};
+
+// Returns the token payload, or null if it is malformed, tampered with or expired
+const verifyToken = (token) => {
+  const [payload, signature] = (token || '').split('.');
+  if (!payload || !signature) return null;
+
+  const expected = Buffer.from(sign(payload));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+
+  try {
+    const data = JSON.parse(Buffer.from(payload, 'base64url').toString());
+    return data.exp > Date.now() ? data : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// ========== MIDDLEWARE ==========
+
+// Protect a route: requireRole('admin', 'registrar'). With no roles any logged-in user passes.
+// The account is re-read on every request so disabling a user or changing a role applies at once.
+const requireRole = (...roles) => async (req, res, next) => {
+  try {
+    const header = req.headers.authorization || '';
+    const token = header.startsWith('Bearer ') ? header.slice(7) : null;
+    const payload = verifyToken(token);
+
+    if (!payload) {
+      return res.status(401).json({ 
+        success: false, 
+        message: 'Authentication required' 
+      });
+    }
+
+    const user = await db.users.findById(payload.sub, { select: '-passwordHash' });
+
+    if (!user || !user.isActive) {
+      return res.status(401).json({ 
+        success: false, 
+        message: 'Account is disabled or no longer exists' 
+      });
+    }
+
+    if (roles.length > 0 && !roles.includes(user.role)) {
+      console.log(`❌ ${user.username} (${user.role}) denied: ${req.method} ${req.url}`);
+      return res.status(403).json({ 
+        success: false, 
+        message: 'You do not have permission to perform this action' 
+      });
+    }
+
+    req.user = user;
+    next();
+
+  } catch (error) {
+    console.error('❌ Auth error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Error checking authentication',
+      error: error.message 
+    });
+  }
+};
+
+const requireAuth = requireRole();
+
+// Identify the kiosk from X-Station-Key and set req.station. Unknown or revoked keys are
+// always rejected; a missing key is only allowed when required is false.
+const requireStation = ({ required = true } = {}) => async (req, res, next) => {
+  try {
+    const key = req.headers['x-station-key'];
+
+    if (!key) {
+      if (!required) return next();
+      return res.status(401).json({ 
+        success: false, 
+        message: 'This device is not a registered check-in station' 
+      });
+    }
+
+    const station = await db.stations.findOne({ keyHash: hashStationKey(key) });
+
+    if (!station || !station.isActive) {
+      console.log(`❌ ${station ? 'Revoked' : 'Unknown'} station key used: ${req.method} ${req.url}`);
+      return res.status(401).json({ 
+        success: false, 
+        message: station ? 'This station has been revoked' : 'Unknown station key' 
+      });
+    }
+
+    req.station = station;
+    next();
+
+  } catch (error) {
+    console.error('❌ Station auth error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Error checking station',
+      error: error.message 
+    });
+  }
+};
+
+// EventSource can't send headers, so event streams pass the token as ?token=
+const queryToken = (req, res, next) => {
+  if (!req.headers.authorization && req.query.token) {
+    req.headers.authorization = `Bearer ${req.query.token}`;
+  }
+  next();
+};
+
+module.exports = {
+  hashPassword,
+  verifyPassword,
+  issueToken,
+  verifyToken,
+  requireRole,
+  requireAuth,
+  requireStation,
+  generateStationKey,
+  hashStationKey,
+  queryToken
+};
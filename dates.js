@@ -0,0 +1,82 @@
+// Date helpers for attendance. Every "day" is computed in the institution's
+// timezone, never the server's, so a UTC host still files evening check-ins
+// under the right date.
+
+const TIMEZONE = process.env.INSTITUTION_TIMEZONE || 'UTC';
+
+// Fail fast on a typo'd timezone instead of silently using the wrong day
+try {
+  new Intl.DateTimeFormat('en-US', { timeZone: TIMEZONE });
+} catch (error) {
+  throw new Error(`Invalid INSTITUTION_TIMEZONE "${TIMEZONE}": ${error.message}`);
+}
+
+const dateKeyFormat = new Intl.DateTimeFormat('en-US', {
+  timeZone: TIMEZONE,
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit'
+});
+
+const timeFormat = new Intl.DateTimeFormat('en-US', {
+  timeZone: TIMEZONE,
+  hour: '2-digit',
+  minute: '2-digit'
+});
+
+const offsetFormat = new Intl.DateTimeFormat('en-US', {
+  timeZone: TIMEZONE,
+  hourCycle: 'h23',
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit',
+  hour: '2-digit',
+  minute: '2-digit',
+  second: '2-digit'
+});
+
+// Offset (ms) of the institution timezone from UTC at a given instant
+const zoneOffset = (date) => {
+  const parts = {};
+  offsetFormat.formatToParts(date).forEach(({ type, value }) => { parts[type] = Number(value); });
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour % 24, parts.minute, parts.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+// Date -> 'YYYY-MM-DD' in the institution timezone
+const toDateKey = (date = new Date()) => {
+  const parts = {};
+  dateKeyFormat.formatToParts(date).forEach(({ type, value }) => { parts[type] = value; });
+  return `${parts.year}-${parts.month}-${parts.day}`;
+};
+
+// True for a real calendar date written as YYYY-MM-DD
+const isDateKey = (value) => {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !isNaN(date) && date.toISOString().slice(0, 10) === value;
+};
+
+// First instant of a YYYY-MM-DD day in the institution timezone
+const startOfDay = (dateKey) => {
+  const guess = Date.parse(`${dateKey}T00:00:00Z`);
+  const first = guess - zoneOffset(new Date(guess));
+  // Second pass in case a DST change falls between the guess and the answer
+  return new Date(guess - zoneOffset(new Date(first)));
+};
+
+// 'YYYY-MM-DD' plus or minus whole days
+const addDays = (dateKey, days) =>
+  new Date(Date.parse(`${dateKey}T00:00:00Z`) + days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+// Clock time (e.g. "09:30 AM") in the institution timezone, for messages
+const formatTime = (date) => timeFormat.format(date);
+
+module.exports = {
+  TIMEZONE,
+  toDateKey,
+  isDateKey,
+  startOfDay,
+  addDays,
+  formatTime
+};
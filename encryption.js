@@ -0,0 +1,120 @@
+// Encryption at rest for face descriptors (AES-256-GCM). models.js seals a
+// descriptor when it is set and opens it when it is read, so the rest of the
+// server only ever sees plain arrays of numbers.
+//
+// The key is 32 bytes, base64 encoded, from DESCRIPTOR_KEY or the file at
+// DESCRIPTOR_KEY_FILE (default .descriptor-key, created once by
+// scripts/init-descriptor-key.js - never on the fly, see readKeyFile). Keys
+// being rotated out go in DESCRIPTOR_OLD_KEYS (comma-separated) until
+// scripts/rotate-descriptor-key.js has re-encrypted every record.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const KEY_FILE = process.env.DESCRIPTOR_KEY_FILE || path.join(__dirname, '.descriptor-key');
+
+// v1.<keyId>.<iv>.<auth tag>.<ciphertext>, base64url parts
+const SEALED_PREFIX = 'v1.';
+
+let keyRing = null;
+
+const generateKey = () => crypto.randomBytes(32).toString('base64');
+
+// Short fingerprint stored with each ciphertext, so the right key can be picked
+const keyId = (key) => crypto.createHash('sha256').update(key).digest('hex').slice(0, 8);
+
+const parseKey = (encoded, source) => {
+  const key = Buffer.from(String(encoded).trim(), 'base64');
+  if (key.length !== 32) throw new Error(`${source} must be a base64 encoded 32-byte key`);
+  return key;
+};
+
+// A missing file is an error, not a cue to make a new key: after a redeploy or
+// a lost file, a fresh key would leave every stored descriptor unreadable
+const readKeyFile = () => {
+  if (!fs.existsSync(KEY_FILE)) {
+    throw new Error(`No descriptor key: set DESCRIPTOR_KEY or restore ${KEY_FILE}. A new installation creates it with npm run init:descriptor-key`);
+  }
+  return parseKey(fs.readFileSync(KEY_FILE, 'utf8'), KEY_FILE);
+};
+
+// Current key plus any old keys still accepted for decryption
+const loadKeyRing = () => {
+  if (keyRing) return keyRing;
+
+  const current = process.env.DESCRIPTOR_KEY
+    ? parseKey(process.env.DESCRIPTOR_KEY, 'DESCRIPTOR_KEY')
+    : readKeyFile();
+
+  const keys = new Map([[keyId(current), current]]);
+  (process.env.DESCRIPTOR_OLD_KEYS || '').split(',').filter(k => k.trim()).forEach(encoded => {
+    const key = parseKey(encoded, 'DESCRIPTOR_OLD_KEYS');
+    keys.set(keyId(key), key);
+  });
+
+  keyRing = { current, currentId: keyId(current), keys };
+  return keyRing;
+};
+
+// Seal with key from now on, still opening what the earlier keys sealed
+// (for scripts/rotate-descriptor-key.js)
+const useKey = (key) => {
+  const ring = loadKeyRing();
+  ring.keys.set(keyId(key), key);
+  ring.current = key;
+  ring.currentId = keyId(key);
+  return ring;
+};
+
+const isSealed = (value) => typeof value === 'string' && value.startsWith(SEALED_PREFIX);
+
+// Id of the key a sealed value was encrypted with
+const sealedKeyId = (value) => (isSealed(value) ? value.split('.')[1] : null);
+
+// Encrypt a descriptor (array of numbers). Already sealed values pass through.
+const sealDescriptor = (descriptor, key = loadKeyRing().current) => {
+  if (descriptor == null || isSealed(descriptor)) return descriptor;
+
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const plain = Buffer.from(Float64Array.from(descriptor).buffer);
+  const data = Buffer.concat([cipher.update(plain), cipher.final()]);
+
+  return [
+    'v1',
+    keyId(key),
+    iv.toString('base64url'),
+    cipher.getAuthTag().toString('base64url'),
+    data.toString('base64url')
+  ].join('.');
+};
+
+// Decrypt a sealed descriptor. Plain arrays (not yet migrated) pass through.
+const openDescriptor = (value) => {
+  if (!isSealed(value)) return value;
+
+  const [, id, iv, tag, data] = value.split('.');
+  const key = loadKeyRing().keys.get(id);
+  if (!key) throw new Error(`Face descriptor was encrypted with unknown key ${id}`);
+
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(iv, 'base64url'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64url'));
+  const plain = Buffer.concat([decipher.update(Buffer.from(data, 'base64url')), decipher.final()]);
+
+  // Copy first - a pooled Buffer's offset may not be 8-byte aligned
+  return Array.from(new Float64Array(Uint8Array.from(plain).buffer));
+};
+
+module.exports = {
+  KEY_FILE,
+  generateKey,
+  keyId,
+  parseKey,
+  loadKeyRing,
+  useKey,
+  isSealed,
+  sealedKeyId,
+  sealDescriptor,
+  openDescriptor
+};
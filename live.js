@@ -0,0 +1,43 @@
+// Live attendance feed over Server-Sent Events. Every open Attendance page and
+// dashboard keeps one GET /api/events stream; check-ins, check-outs and manual
+// overrides from any door are pushed to all of them as they are saved.
+
+// How often an idle stream gets a comment line so proxies don't close it
+const KEEPALIVE_MS = 25 * 1000;
+
+const clients = new Set();
+
+// Turn a response into an event stream until the client disconnects
+const subscribe = (req, res) => {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.write('retry: 5000\n\n');
+
+  const client = { res, username: req.user ? req.user.username : null };
+  clients.add(client);
+
+  const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), KEEPALIVE_MS);
+
+  req.on('close', () => {
+    clearInterval(keepAlive);
+    clients.delete(client);
+  });
+};
+
+// Send an event to every connected client
+const broadcast = (type, data) => {
+  const message = `event: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+  clients.forEach(client => client.res.write(message));
+};
+
+const clientCount = () => clients.size;
+
+module.exports = {
+  subscribe,
+  broadcast,
+  clientCount
+};
@@ -0,0 +1,114 @@
+// Face descriptor matching shared by server.js and the kiosk (app.js).
+// Node loads it with require(); in the browser it is exposed as window.FaceMatch,
+// so offline kiosks match exactly the way the API does.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.FaceMatch = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  const env = typeof process !== 'undefined' && process.env ? process.env : {};
+
+  // Maximum euclidean distance between two descriptors to count as the same face
+  const MATCH_THRESHOLD = parseFloat(env.MATCH_THRESHOLD) || 0.6;
+
+  const DESCRIPTOR_LENGTH = 128;
+
+  const isValidDescriptor = (descriptor) =>
+    Array.isArray(descriptor) &&
+    descriptor.length === DESCRIPTOR_LENGTH &&
+    descriptor.every(n => typeof n === 'number' && isFinite(n));
+
+  function euclideanDistance(a, b) {
+    return Math.sqrt(a.reduce((sum, val, i) => sum + Math.pow(val - b[i], 2), 0));
+  }
+
+  // A student matches on their closest template, so every stored variation counts
+  function templateDistance(descriptor, templates) {
+    return templates.reduce(
+      (best, template) => Math.min(best, euclideanDistance(descriptor, template.descriptor)),
+      Infinity
+    );
+  }
+
+  // Distance -> percentage shown to invigilators and stored on attendance
+  const toConfidence = (distance) => Number(((1 - distance) * 100).toFixed(1));
+
+  // Recognition settings as stored by the server (see settings.js). These
+  // defaults apply when none are given: threshold only, no margin.
+  const DEFAULT_SETTINGS = {
+    matchThreshold: MATCH_THRESHOLD,
+    courseThresholds: [],
+    minConfidence: 0,
+    ambiguityMargin: 0
+  };
+
+  // A plain number is accepted as the threshold, as older callers pass
+  const toSettings = (settings) =>
+    typeof settings === 'number'
+      ? { ...DEFAULT_SETTINGS, matchThreshold: settings }
+      : { ...DEFAULT_SETTINGS, ...settings };
+
+  // Per-course override if there is one, otherwise the global threshold
+  function thresholdFor(settings, course) {
+    const override = (settings.courseThresholds || []).find(entry => entry.course === course);
+    return override ? override.threshold : settings.matchThreshold;
+  }
+
+  // Candidates are students with faceTemplates: [{ descriptor }] (and course, for overrides).
+  // Returns { status, candidate, distance, confidence, runnerUp } where status is
+  //   matched       - the closest candidate passed every rule
+  //   unknown       - nobody is within the threshold
+  //   lowConfidence - the closest candidate is below minConfidence
+  //   ambiguous     - the runner-up is within ambiguityMargin of the closest, so neither is picked
+  function matchFace(descriptor, candidates, settings) {
+    const rules = toSettings(settings);
+    let best = null;
+    let runnerUp = null;
+
+    candidates.forEach(candidate => {
+      const distance = templateDistance(descriptor, candidate.faceTemplates || []);
+      if (!best || distance < best.distance) {
+        runnerUp = best;
+        best = { candidate, distance };
+      } else if (!runnerUp || distance < runnerUp.distance) {
+        runnerUp = { candidate, distance };
+      }
+    });
+
+    if (!best || best.distance >= thresholdFor(rules, best.candidate.course)) return { status: 'unknown' };
+
+    const result = { ...best, confidence: toConfidence(best.distance), runnerUp };
+
+    if (result.confidence < rules.minConfidence) return { ...result, status: 'lowConfidence' };
+    if (runnerUp && runnerUp.distance - best.distance < rules.ambiguityMargin) return { ...result, status: 'ambiguous' };
+
+    return { ...result, status: 'matched' };
+  }
+
+  // Returns { candidate, distance, confidence } if matchFace found a clear match, or null
+  function findBestMatch(descriptor, candidates, settings) {
+    const match = matchFace(descriptor, candidates, settings);
+    if (match.status !== 'matched') return null;
+
+    return {
+      candidate: match.candidate,
+      distance: match.distance,
+      confidence: match.confidence
+    };
+  }
+
+  return {
+    MATCH_THRESHOLD,
+    DESCRIPTOR_LENGTH,
+    isValidDescriptor,
+    euclideanDistance,
+    templateDistance,
+    toConfidence,
+    DEFAULT_SETTINGS,
+    thresholdFor,
+    matchFace,
+    findBestMatch
+  };
+});
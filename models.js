@@ -0,0 +1,613 @@
+const mongoose = require('mongoose');
+const { sealDescriptor, openDescriptor } = require('./encryption');
+
+// Maximum number of face templates kept per student
+const MAX_FACE_TEMPLATES = parseInt(process.env.MAX_FACE_TEMPLATES, 10) || 10;
+
+// One captured face sample. Students keep several so glasses, lighting
+// and angle variations are all matched instead of being averaged away.
+// The descriptor is stored AES-GCM encrypted (see encryption.js); reading it
+// gives back the plain array. Mixed so unmigrated plaintext arrays still load.
+const faceTemplateSchema = new mongoose.Schema({
+  descriptor: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true,
+    set: sealDescriptor,
+    get: openDescriptor
+  },
+  source: {
+    type: String,
+    // 'adaptive' templates come from confident check-ins (see adaptive.js)
+    enum: ['registration', 'enrollment', 'migrated', 'adaptive'],
+    default: 'registration'
+  },
+  capturedAt: {
+    type: Date,
+    default: Date.now
+  },
+  detectionScore: {
+    type: Number,
+    min: 0,
+    max: 1
+  },
+  note: {
+    type: String,
+    trim: true
+  }
+});
+
+// Student Schema
+const studentSchema = new mongoose.Schema({
+  studentId: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    uppercase: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  course: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  faceTemplates: {
+    type: [faceTemplateSchema],
+    validate: {
+      // Roster-imported students have no face until enrolled, and flagged
+      // registrations have theirs held on the EnrollmentReview instead
+      validator: function (templates) {
+        const minimum = this.enrollmentStatus === 'enrolled' ? 1 : 0;
+        return templates.length >= minimum && templates.length <= MAX_FACE_TEMPLATES;
+      },
+      message: `An enrolled student needs between 1 and ${MAX_FACE_TEMPLATES} face templates`
+    }
+  },
+  enrollmentStatus: {
+    type: String,
+    enum: ['pending', 'review', 'enrolled'],
+    default: 'enrolled'
+  },
+  registeredAt: {
+    type: Date,
+    default: Date.now
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  // Templates are purged a set time after either of these (see retention.js)
+  deactivatedAt: {
+    type: Date
+  },
+  graduatedAt: {
+    type: Date
+  },
+  templatesPurgedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Decrypt descriptors in .lean() results, which skip the getter above.
+// Hydrated documents decrypt through the getter when a descriptor is read.
+const openTemplatesOnLean = (schema, field) => {
+  schema.post(['find', 'findOne', 'findOneAndUpdate', 'findOneAndReplace', 'findOneAndDelete'], function (result) {
+    if (!result || !this.mongooseOptions().lean) return;
+
+    [].concat(result).forEach(doc => {
+      (doc[field] || []).forEach(template => {
+        if (template.descriptor !== undefined) template.descriptor = openDescriptor(template.descriptor);
+      });
+    });
+  });
+};
+
+openTemplatesOnLean(studentSchema, 'faceTemplates');
+
+// Exam Schema (one sitting of a paper - check-ins are bound to these)
+const examSchema = new mongoose.Schema({
+  course: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  paperCode: {
+    type: String,
+    required: true,
+    trim: true,
+    uppercase: true
+  },
+  title: {
+    type: String,
+    trim: true
+  },
+  venue: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  startTime: {
+    type: Date,
+    required: true
+  },
+  endTime: {
+    type: Date,
+    required: true
+  },
+  invigilators: {
+    type: [String],
+    default: []
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+examSchema.index({ startTime: 1 });
+
+// Enrollment Review Schema: a face that matched another student's, held for an admin
+const enrollmentReviewSchema = new mongoose.Schema({
+  studentId: {
+    type: String,
+    required: true,
+    uppercase: true
+  },
+  action: {
+    type: String,
+    enum: ['register', 'update', 'addTemplates'],
+    required: true
+  },
+  // Templates only reach the student if an admin approves
+  proposedTemplates: {
+    type: [faceTemplateSchema],
+    default: []
+  },
+  // Status to restore on the student if the review is rejected
+  previousStatus: {
+    type: String,
+    enum: ['pending', 'enrolled']
+  },
+  conflicts: [{
+    _id: false,
+    studentId: String,
+    name: String,
+    distance: Number
+  }],
+  status: {
+    type: String,
+    enum: ['open', 'approved', 'rejected'],
+    default: 'open'
+  },
+  requestedBy: {
+    type: String
+  },
+  resolvedBy: {
+    type: String
+  },
+  resolvedAt: {
+    type: Date
+  },
+  resolutionNote: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+enrollmentReviewSchema.index({ status: 1, createdAt: -1 });
+openTemplatesOnLean(enrollmentReviewSchema, 'proposedTemplates');
+
+const USER_ROLES = ['admin', 'registrar', 'invigilator'];
+
+// User Schema (staff accounts - students never log in)
+const userSchema = new mongoose.Schema({
+  username: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    lowercase: true
+  },
+  name: {
+    type: String,
+    trim: true
+  },
+  role: {
+    type: String,
+    enum: USER_ROLES,
+    required: true
+  },
+  passwordHash: {
+    type: String,
+    required: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  lastLoginAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+const LIVENESS_CHALLENGES = ['none', 'turnLeft', 'turnRight', 'smile'];
+
+// Station Schema: a registered check-in kiosk. The device authenticates with an
+// API key issued by an admin; only its SHA-256 hash is stored.
+const stationSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  venue: {
+    type: String,
+    trim: true
+  },
+  // Exam sessions this station may check in to (empty = any session)
+  allowedExams: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Exam'
+  }],
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // First characters of the key, so an admin can tell which key a device has
+  keyPrefix: {
+    type: String
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  revokedAt: {
+    type: Date
+  },
+  createdBy: {
+    type: String
+  },
+  // Reported by the heartbeat
+  lastSeenAt: {
+    type: Date
+  },
+  lastIp: {
+    type: String
+  },
+  appVersion: {
+    type: String
+  },
+  modelVersion: {
+    type: String
+  },
+  userAgent: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+// Attendance Schema
+// present/late come from check-ins; absent/excused are recorded by an invigilator
+const ATTENDANCE_STATUSES = ['present', 'late', 'absent', 'excused'];
+
+const attendanceSchema = new mongoose.Schema({
+  studentId: {
+    type: String,
+    required: true,
+    ref: 'Student'
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  course: {
+    type: String,
+    required: true
+  },
+  exam: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Exam'
+  },
+  paperCode: {
+    type: String
+  },
+  // Station name at the time of the check-in; stationId is the registered kiosk
+  station: {
+    type: String,
+    trim: true
+  },
+  stationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Station'
+  },
+  // Generated by the kiosk so replays of an offline check-in are idempotent
+  clientId: {
+    type: String,
+    trim: true
+  },
+  // Null for absent/excused records - nobody checked in
+  checkInTime: {
+    type: Date,
+    default: Date.now
+  },
+  // Set when the candidate leaves the room (POST /api/attendance/checkout)
+  checkOutTime: {
+    type: Date
+  },
+  checkOutStation: {
+    type: String,
+    trim: true
+  },
+  // Whole minutes between check-in and check-out
+  durationMinutes: {
+    type: Number,
+    min: 0
+  },
+  // YYYY-MM-DD in the institution timezone (see dates.js)
+  date: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ATTENDANCE_STATUSES,
+    default: 'present'
+  },
+  // 'manual' records were entered by an invigilator instead of face recognition
+  method: {
+    type: String,
+    enum: ['face', 'manual'],
+    default: 'face'
+  },
+  override: {
+    reason: String,
+    idCardNumber: String,
+    recordedBy: String
+  },
+  confidence: {
+    type: Number,
+    min: 0,
+    max: 100
+  },
+  matchDistance: {
+    type: Number
+  },
+  // Version of the recognition settings the face was matched under
+  settingsVersion: {
+    type: Number
+  },
+  // Cropped JPEG of the matched face (see storage.js); keys are cleared once purged
+  snapshot: {
+    key: String,
+    thumbnailKey: String,
+    bytes: Number,
+    purgedAt: Date
+  },
+  // Anti-spoofing result reported by the kiosk for this check-in
+  liveness: {
+    passed: Boolean,
+    blinkDetected: Boolean,
+    challenge: {
+      type: String,
+      enum: LIVENESS_CHALLENGES
+    },
+    challengePassed: Boolean,
+    durationMs: Number
+  }
+}, {
+  timestamps: true
+});
+
+// Create indexes for better query performance
+attendanceSchema.index({ studentId: 1, date: 1 });
+attendanceSchema.index({ clientId: 1 }, { unique: true, sparse: true });
+// One check-in per student per exam session (older records have no exam)
+attendanceSchema.index(
+  { exam: 1, studentId: 1 },
+  { unique: true, partialFilterExpression: { exam: { $exists: true } } }
+);
+
+// Audit Log Schema: one entry per write, never updated or deleted
+const auditLogSchema = new mongoose.Schema({
+  // Username of the staff member, or 'system' / 'anonymous'
+  actor: {
+    type: String,
+    required: true
+  },
+  actorRole: {
+    type: String
+  },
+  // <targetType>.<verb>, e.g. student.update or attendance.checkIn
+  action: {
+    type: String,
+    required: true
+  },
+  targetType: {
+    type: String,
+    required: true
+  },
+  targetId: {
+    type: String
+  },
+  // { field: { from, to } }; face descriptors and password hashes are summarised (see audit.js)
+  changes: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  details: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  ip: {
+    type: String
+  },
+  station: {
+    type: String
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+
+// Append-only: refuse anything that would change or remove an entry
+const appendOnly = (schema, label) => {
+  const refuseWrite = function (next) {
+    next(new Error(`The ${label} is append-only`));
+  };
+
+  schema.pre(
+    ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+    refuseWrite
+  );
+  schema.pre('save', function (next) {
+    if (!this.isNew) return refuseWrite(next);
+    next();
+  });
+};
+
+appendOnly(auditLogSchema, 'audit log');
+
+// Settings Schema: recognition rules shared by the API and every kiosk (see settings.js).
+// A single document; version goes up by one on every change.
+const courseThresholdSchema = new mongoose.Schema({
+  course: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  threshold: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 1.5
+  }
+}, { _id: false });
+
+const settingsSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    default: 'recognition',
+    unique: true
+  },
+  // Maximum descriptor distance to count as the same face
+  matchThreshold: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 1.5
+  },
+  courseThresholds: {
+    type: [courseThresholdSchema],
+    default: []
+  },
+  // Lowest confidence (%) accepted for a match
+  minConfidence: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 100
+  },
+  // Required distance gap between the best and second-best student
+  ambiguityMargin: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 1
+  },
+  version: {
+    type: Number,
+    default: 1
+  },
+  updatedBy: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+const COMPLIANCE_ACTIONS = ['erasure', 'subjectExport', 'templatePurge'];
+
+// Compliance Log Schema: evidence that data-protection requests and purges were carried out
+const complianceLogSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    enum: COMPLIANCE_ACTIONS,
+    required: true
+  },
+  // Student the request concerned
+  subjectId: {
+    type: String,
+    required: true,
+    uppercase: true
+  },
+  // Username of the staff member, or 'system' for scheduled purges
+  actor: {
+    type: String,
+    required: true
+  },
+  reason: {
+    type: String,
+    trim: true
+  },
+  // What was removed or exported (counts only - never the data itself)
+  details: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  ip: {
+    type: String
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+complianceLogSchema.index({ createdAt: -1 });
+complianceLogSchema.index({ subjectId: 1, createdAt: -1 });
+
+appendOnly(complianceLogSchema, 'compliance log');
+
+const Student = mongoose.model('Student', studentSchema);
+const Exam = mongoose.model('Exam', examSchema);
+const User = mongoose.model('User', userSchema);
+const EnrollmentReview = mongoose.model('EnrollmentReview', enrollmentReviewSchema);
+const Attendance = mongoose.model('Attendance', attendanceSchema);
+const Station = mongoose.model('Station', stationSchema);
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+const ComplianceLog = mongoose.model('ComplianceLog', complianceLogSchema);
+const Settings = mongoose.model('Settings', settingsSchema);
+
+module.exports = {
+  Student,
+  Exam,
+  Attendance,
+  User,
+  EnrollmentReview,
+  AuditLog,
+  ComplianceLog,
+  Settings,
+  Station,
+  USER_ROLES,
+  COMPLIANCE_ACTIONS,
+  MAX_FACE_TEMPLATES,
+  LIVENESS_CHALLENGES,
+  ATTENDANCE_STATUSES
+};
@@ -0,0 +1,152 @@
+// Data-protection requests for a student's biometric data: hard erasure and
+// subject-access export. Both, and the scheduled template purge in
+// retention.js, leave an entry in the append-only compliance log.
+
+const crypto = require('crypto');
+const db = require('./repository');
+
+// Name left on attendance records once their student has been erased
+const ERASED_NAME = 'Erased student';
+
+// Audit fields that held an erased student's face, ID card or check-in evidence;
+// dropped from their entries rather than rewritten
+const ERASED_AUDIT_FIELDS = ['faceTemplates', 'proposedTemplates', 'faceDescriptor', 'matchDistance', 'snapshot', 'clientId', 'idCardNumber'];
+
+const isPlainObject = (value) => !!value && Object.getPrototypeOf(value) === Object.prototype;
+
+// Copy of part of an audit entry with the student swapped for their pseudonym:
+// every studentId and name field (at any depth, before and after values alike),
+// and their ID or name wherever else it appears, e.g. in a list of conflicts
+const redactAuditValue = (value, subject, field) => {
+  if (Array.isArray(value)) return value.map(item => redactAuditValue(item, subject, field));
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value)
+      .filter(([key]) => !ERASED_AUDIT_FIELDS.includes(key))
+      .map(([key, item]) => [key, redactAuditValue(item, subject, key === 'studentId' || key === 'name' ? key : field)]));
+  }
+  if (typeof value !== 'string') return value;
+  if (field === 'studentId' || value === subject.studentId) return subject.pseudonym;
+  if (field === 'name' || subject.names.includes(value)) return ERASED_NAME;
+  return value;
+};
+
+// Append a compliance entry. req supplies the actor and IP; pass null for the
+// server's own jobs. Like recordAudit, a failed write is logged, not thrown.
+const recordCompliance = async (req, { action, subjectId, reason, details }) => {
+  try {
+    await db.complianceLog.create({
+      action,
+      subjectId,
+      actor: req && req.user ? req.user.username : 'system',
+      reason,
+      details,
+      ip: req ? req.ip : undefined
+    });
+  } catch (error) {
+    console.error('❌ Compliance log error:', action, subjectId, error.message);
+  }
+};
+
+// Remove everything biometric or identifying held about a student. Attendance
+// records stay for reporting but are moved to a random pseudonym that is not
+// stored anywhere, so they can no longer be linked back. Their audit entries
+// (on the student and on those records) stay too, under the same pseudonym.
+// Resolves null if nothing is held about the student.
+const eraseStudent = async (studentId, storage) => {
+  const student = await db.students.findOne({ studentId }, { select: 'name faceTemplates' });
+  const records = await db.attendance.find({ studentId }, { select: 'name snapshot' });
+  if (!student && records.length === 0) return null;
+
+  let snapshotsDeleted = 0;
+  for (const record of records) {
+    if (!record.snapshot || !record.snapshot.key) continue;
+    await storage.remove(record.snapshot.key);
+    if (record.snapshot.thumbnailKey) await storage.remove(record.snapshot.thumbnailKey);
+    snapshotsDeleted++;
+  }
+
+  const pseudonym = `ERASED-${crypto.randomBytes(6).toString('hex').toUpperCase()}`;
+
+  // Redacted before the records themselves, so a failure part-way can be retried
+  const subject = {
+    studentId,
+    pseudonym,
+    names: Array.from(new Set([student, ...records].filter(Boolean).map(doc => doc.name)))
+  };
+  const auditEntries = await db.auditLog.find({ $or: [
+    { targetType: 'student', targetId: studentId },
+    { targetType: 'attendance', targetId: { $in: records.map(record => String(record._id)) } },
+    { 'details.studentIds': studentId }
+  ] });
+  for (const entry of auditEntries) {
+    const fields = ['targetId', 'changes', 'details']
+      .filter(field => entry[field] !== undefined)
+      .map(field => [field, redactAuditValue(entry[field], subject)]);
+    await db.auditLog.redact(entry._id, Object.fromEntries(fields));
+  }
+
+  const attendanceAnonymised = await db.attendance.updateMany(
+    { studentId },
+    {
+      $set: { studentId: pseudonym, name: ERASED_NAME },
+      $unset: { snapshot: '', matchDistance: '', clientId: '', 'override.idCardNumber': '' }
+    }
+  );
+
+  // Held reviews carry proposed face templates
+  const reviewsDeleted = await db.enrollmentReviews.remove({ studentId });
+  await db.students.remove({ studentId });
+
+  return {
+    studentDeleted: !!student,
+    templatesDeleted: student ? student.faceTemplates.length : 0,
+    reviewsDeleted,
+    attendanceAnonymised,
+    snapshotsDeleted,
+    auditEntriesRedacted: auditEntries.length
+  };
+};
+
+// Everything held about one student, as a single JSON-ready object. Snapshots
+// are included as data URLs while they are still in storage.
+const exportSubjectData = async (studentId, storage) => {
+  const student = await db.students.findOne({ studentId });
+  const attendance = await db.attendance.find({ studentId }, { sort: { date: 1 } });
+  if (!student && attendance.length === 0) return null;
+
+  const enrollmentReviews = await db.enrollmentReviews.find({ studentId });
+
+  const snapshots = [];
+  for (const record of attendance) {
+    if (!record.snapshot || !record.snapshot.key) continue;
+    const image = await storage.get(record.snapshot.key);
+    if (image) {
+      snapshots.push({
+        attendanceId: record._id,
+        date: record.date,
+        image: `data:image/jpeg;base64,${image.toString('base64')}`
+      });
+    }
+  }
+
+  const targetIds = [studentId, ...attendance.map(a => String(a._id)), ...enrollmentReviews.map(r => String(r._id))];
+  const auditTrail = await db.auditLog.find({ targetId: { $in: targetIds } }, { sort: { createdAt: 1 } });
+  const complianceLog = await db.complianceLog.find({ subjectId: studentId }, { sort: { createdAt: 1 } });
+
+  return {
+    subjectId: studentId,
+    exportedAt: new Date(),
+    student,
+    attendance,
+    snapshots,
+    enrollmentReviews,
+    auditTrail,
+    complianceLog
+  };
+};
+
+module.exports = {
+  recordCompliance,
+  eraseStudent,
+  exportSubjectData
+};
@@ -0,0 +1,400 @@
+// File backend: every collection is a JSON file in DATA_DIR, held in memory
+// and rewritten after each change. Documents still go through the Mongoose
+// schemas for casting, defaults, validation and descriptor encryption, so they
+// have the same shape as in MongoDB. Meant for one server process (a demo, a
+// single-laptop exam hall) - not for several servers sharing one directory.
+
+const fs = require('fs/promises');
+const path = require('path');
+const mongoose = require('mongoose');
+const { Student, Exam, Attendance, User, EnrollmentReview, AuditLog, ComplianceLog, Settings, Station } = require('../models');
+const { openDescriptor } = require('../encryption');
+const { clone, matches, sortDocuments, project, applyUpdate, insertFields } = require('./query');
+
+// Default is under storage/, which server.js never serves
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', 'storage', 'data');
+
+let loading = null;
+let loaded = false;
+
+const duplicateKeyError = (collection, fields) => Object.assign(
+  new Error(`E11000 duplicate key error collection: ${collection} index: ${fields.join('_')}`),
+  { code: 11000 }
+);
+
+const fileCollection = (Model) => {
+  const name = Model.collection.name;
+  const file = path.join(DATA_DIR, `${name}.json`);
+  const timestamps = !!Model.schema.options.timestamps;
+  const docs = new Map();
+
+  // Template arrays (sub-documents with an encrypted descriptor)
+  const templateFields = Object.keys(Model.schema.paths)
+    .filter(field => Model.schema.paths[field].schema && Model.schema.paths[field].schema.path('descriptor'));
+
+  // unique: true paths and schema.index(..., { unique }), with their sparse / partial rules
+  const uniqueIndexes = Model.schema.indexes()
+    .filter(([, options]) => options.unique)
+    .map(([fields, options]) => ({ fields: Object.keys(fields), sparse: !!options.sparse, partial: options.partialFilterExpression }));
+
+  // _id first, as MongoDB stores it
+  const toPlain = (doc) => {
+    const { _id, ...fields } = doc.toObject();
+    return { _id, ...fields };
+  };
+
+  // Cast, apply defaults, validate and seal descriptors - what save() would store
+  const toStored = (data) => {
+    const doc = new Model(data);
+    const error = doc.validateSync();
+    if (error) throw error;
+    return toPlain(doc);
+  };
+
+  // What callers get: a projected copy with descriptors decrypted, like a lean read from MongoDB
+  const toResult = (stored, select) => {
+    const doc = project(clone(stored), select);
+    templateFields.forEach(field => {
+      (doc[field] || []).forEach(template => {
+        if (template.descriptor !== undefined) template.descriptor = openDescriptor(template.descriptor);
+      });
+    });
+    return doc;
+  };
+
+  // Mongoose casts the filter (string IDs to ObjectIds, uppercase setters...) as it would for MongoDB
+  const castFilter = (filter) => Model.find().cast(Model, clone(filter || {}));
+
+  const matching = (filter) => {
+    const query = castFilter(filter);
+    return Array.from(docs.values()).filter(doc => matches(doc, query));
+  };
+
+  const checkUnique = (doc) => {
+    uniqueIndexes.forEach(({ fields, sparse, partial }) => {
+      const indexed = (other) => !(sparse && fields.every(field => other[field] === undefined)) && (!partial || matches(other, partial));
+      const key = (other) => JSON.stringify(fields.map(field => other[field]));
+      if (!indexed(doc)) return;
+
+      const own = key(doc);
+      for (const other of docs.values()) {
+        if (!other._id.equals(doc._id) && indexed(other) && key(other) === own) throw duplicateKeyError(name, fields);
+      }
+    });
+  };
+
+  // Writes are coalesced: changes made while a write is waiting go out with it
+  let queued = null;
+  let last = Promise.resolve();
+
+  const save = () => {
+    if (!queued) {
+      queued = last.then(async () => {
+        queued = null;
+        const temp = `${file}.tmp`;
+        await fs.writeFile(temp, JSON.stringify(Array.from(docs.values())));
+        await fs.rename(temp, file);
+      });
+      last = queued.catch(() => {});
+    }
+    return queued;
+  };
+
+  const load = async () => {
+    docs.clear();
+    try {
+      JSON.parse(await fs.readFile(file, 'utf8')).forEach(data => {
+        const doc = toPlain(new Model(data));
+        docs.set(String(doc._id), doc);
+      });
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw new Error(`Could not read ${file}: ${error.message}`);
+    }
+  };
+
+  const insert = (data) => {
+    const now = new Date();
+    const doc = toStored(timestamps ? { ...data, createdAt: data.createdAt || now, updatedAt: now } : data);
+    checkUnique(doc);
+    docs.set(String(doc._id), doc);
+    return doc;
+  };
+
+  // The updated document, or null when the update changes nothing
+  const modify = (current, update) => {
+    const next = toStored(applyUpdate(current, update));
+    if (JSON.stringify(next) === JSON.stringify(current)) return null;
+
+    if (timestamps) next.updatedAt = new Date();
+    checkUnique(next);
+    docs.set(String(next._id), next);
+    return next;
+  };
+
+  // { doc, upserted, modified } for one update (upsert inserts when nothing matches)
+  const updateFirst = (filter, update, upsert) => {
+    const [current] = matching(filter);
+    if (current) {
+      const next = modify(current, update);
+      return { doc: next || current, upserted: false, modified: !!next };
+    }
+    if (!upsert) return { doc: null };
+    return { doc: insert(applyUpdate(insertFields(castFilter(filter)), update, { inserting: true })), upserted: true };
+  };
+
+  const find = async (filter, { select, sort, skip = 0, limit } = {}) => {
+    await connect();
+    return sortDocuments(matching(filter), sort)
+      .slice(skip, limit ? skip + limit : undefined)
+      .map(doc => toResult(doc, select));
+  };
+
+  const findOne = async (filter, { select, sort } = {}) => {
+    const [doc] = await find(filter, { select, sort, limit: 1 });
+    return doc || null;
+  };
+
+  const api = {
+    find,
+
+    findOne,
+
+    findById: (id, options) => (mongoose.isValidObjectId(id) ? findOne({ _id: id }, options) : Promise.resolve(null)),
+
+    async count(filter) {
+      await connect();
+      return matching(filter).length;
+    },
+
+    async create(data) {
+      await connect();
+      const doc = insert(data);
+      await save();
+      return toResult(doc);
+    },
+
+    async update(filter, update, { upsert = false, select } = {}) {
+      await connect();
+      const { doc, upserted, modified } = updateFirst(filter, update, upsert);
+      if (upserted || modified) await save();
+      return doc && toResult(doc, select);
+    },
+
+    async updateMany(filter, update) {
+      await connect();
+      const modified = matching(filter).filter(doc => modify(doc, update)).length;
+      if (modified > 0) await save();
+      return modified;
+    },
+
+    async remove(filter) {
+      await connect();
+      const removed = matching(filter);
+      removed.forEach(doc => docs.delete(String(doc._id)));
+      if (removed.length > 0) await save();
+      return removed.length;
+    },
+
+    async bulkUpsert(operations) {
+      await connect();
+      const result = { upsertedCount: 0, matchedCount: 0, modifiedCount: 0 };
+
+      operations.forEach(({ filter, update }) => {
+        const { upserted, modified } = updateFirst(filter, update, true);
+        if (upserted) {
+          result.upsertedCount++;
+        } else {
+          result.matchedCount++;
+          if (modified) result.modifiedCount++;
+        }
+      });
+
+      if (operations.length > 0) await save();
+      return result;
+    }
+  };
+
+  // flush resolves once every write queued so far is on disk
+  return { api, load, flush: () => last };
+};
+
+const stores = {
+  users: fileCollection(User),
+  students: fileCollection(Student),
+  exams: fileCollection(Exam),
+  attendance: fileCollection(Attendance),
+  stations: fileCollection(Station),
+  enrollmentReviews: fileCollection(EnrollmentReview),
+  settings: fileCollection(Settings),
+  auditLog: fileCollection(AuditLog),
+  complianceLog: fileCollection(ComplianceLog)
+};
+
+const collections = Object.fromEntries(Object.entries(stores).map(([key, store]) => [key, store.api]));
+
+// Load every collection once; each operation waits for this, so nothing reads an empty store
+function connect() {
+  if (!loading) {
+    loading = fs.mkdir(DATA_DIR, { recursive: true })
+      .then(() => Promise.all(Object.values(stores).map(store => store.load())))
+      .then(() => {
+        loaded = true;
+      });
+    loading.catch(() => {
+      loading = null;
+    });
+  }
+  return loading;
+}
+
+// ========== REPORTS ==========
+// The same results as the aggregation pipelines in mongo.js, worked out in JavaScript
+
+const idKey = (id) => (id == null ? null : String(id));
+
+// Mongo's $round: to one decimal, halves to even
+const roundHalfEven = (value) => {
+  const scaled = value * 10;
+  const floor = Math.floor(scaled);
+  const fraction = scaled - floor;
+  const rounded = fraction > 0.5 || (fraction === 0.5 && floor % 2 !== 0) ? floor + 1 : floor;
+  return rounded / 10;
+};
+
+const percentage = (present, expected) => (expected > 0 ? roundHalfEven((present / expected) * 100) : null);
+
+const byFields = (...fields) => (a, b) => {
+  for (const field of fields) {
+    if (a[field] !== b[field]) return a[field] == null || a[field] < b[field] ? -1 : 1;
+  }
+  return 0;
+};
+
+// Counts for one course: students, and the sums of their rows
+const courseRow = (course, rows) => {
+  const sum = (field) => rows.reduce((total, row) => total + row[field], 0);
+  const expected = sum('expected');
+  const present = sum('present');
+
+  return {
+    course,
+    students: rows.length,
+    expected,
+    present,
+    late: sum('late'),
+    excused: sum('excused'),
+    absent: sum('absent'),
+    percentage: percentage(present, expected)
+  };
+};
+
+const reports = {
+  async attendance({ course, rangeStart, rangeEnd, graceMs, threshold }) {
+    const students = await collections.students.find(
+      course ? { isActive: true, course } : { isActive: true },
+      { select: 'studentId name course' }
+    );
+    const exams = await collections.exams.find(
+      { isActive: true, startTime: { $gte: rangeStart, $lt: rangeEnd } },
+      { select: 'course startTime' }
+    );
+    const records = await collections.attendance.find(
+      { exam: { $in: exams.map(exam => exam._id) } },
+      { select: 'studentId exam checkInTime status' }
+    );
+
+    const examsById = new Map(exams.map(exam => [idKey(exam._id), exam]));
+
+    const rows = students.map(student => {
+      const expectedExams = exams.filter(exam => exam.course === student.course);
+      const courseExamIds = new Set(expectedExams.map(exam => idKey(exam._id)));
+      const own = records.filter(record => record.studentId === student.studentId && courseExamIds.has(idKey(record.exam)));
+
+      // Absent/excused records are not attendance; records from before statuses existed count as present
+      const attended = own.filter(record => !['absent', 'excused'].includes(record.status || 'present'));
+      const excused = own.filter(record => record.status === 'excused').length;
+      const expected = expectedExams.length - excused;
+      const present = attended.length;
+
+      // Late: the stored status, or for older records a check-in after the start plus the grace period
+      const late = attended.filter(record => (record.status
+        ? record.status === 'late'
+        : record.checkInTime > examsById.get(idKey(record.exam)).startTime.getTime() + graceMs
+      )).length;
+
+      return {
+        studentId: student.studentId,
+        name: student.name,
+        course: student.course,
+        expected,
+        present,
+        excused,
+        late,
+        absent: expected - present,
+        percentage: percentage(present, expected)
+      };
+    });
+
+    const courses = Array.from(new Set(rows.map(row => row.course)))
+      .map(name => courseRow(name, rows.filter(row => row.course === name)))
+      .sort(byFields('course'));
+
+    return {
+      students: rows.slice().sort(byFields('course', 'name')),
+      courses,
+      belowThreshold: rows
+        .filter(row => row.expected > 0 && row.percentage < threshold)
+        .sort(byFields('percentage', 'name'))
+    };
+  },
+
+  async liveSummary(date) {
+    const records = await collections.attendance.find({ date });
+    const attended = (record) => ['present', 'late'].includes(record.status || 'present');
+    const checkedOut = (record) => record.checkOutTime != null;
+
+    const sessions = new Map();
+    records.forEach(record => {
+      const key = idKey(record.exam);
+      if (!sessions.has(key)) {
+        sessions.set(key, { _id: record.exam || null, paperCode: record.paperCode, checkedIn: 0, late: 0, absent: 0, excused: 0, manual: 0, checkedOut: 0 });
+      }
+      const session = sessions.get(key);
+      if (attended(record)) session.checkedIn++;
+      if (record.status === 'late') session.late++;
+      if (record.status === 'absent') session.absent++;
+      if (record.status === 'excused') session.excused++;
+      if (record.method === 'manual') session.manual++;
+      if (checkedOut(record)) session.checkedOut++;
+    });
+
+    const countBy = (list, field) => {
+      const counts = new Map();
+      list.forEach(record => {
+        const key = record[field] == null ? 'default' : record[field];
+        counts.set(key, (counts.get(key) || 0) + 1);
+      });
+      return Array.from(counts, ([_id, count]) => ({ _id, count }));
+    };
+
+    return {
+      sessions: Array.from(sessions.values()).sort(byFields('paperCode')),
+      checkIns: countBy(records.filter(record => !['absent', 'excused'].includes(record.status)), 'station'),
+      checkOuts: countBy(records.filter(checkedOut), 'checkOutStation')
+    };
+  }
+};
+
+module.exports = {
+  name: 'file',
+  describe: () => `JSON files in ${DATA_DIR}`,
+  connect,
+  isConnected: () => loaded,
+  disconnect: () => Promise.all(Object.values(stores).map(store => store.flush())),
+  ...collections,
+  auditLog: {
+    ...collections.auditLog,
+    redact: async (id, fields) => !!(await collections.auditLog.update({ _id: id }, { $set: fields }))
+  },
+  reports
+};
@@ -0,0 +1,44 @@
+// Data access for the server, the background jobs and the scripts. DATA_BACKEND
+// picks where records live: 'mongo' (default, MONGODB_URI) or 'file' (JSON files
+// in DATA_DIR, no database server needed). Both hand back plain objects and
+// take Mongo-style filters and updates, so the routes are the same either way.
+//
+// Each collection (users, students, exams, attendance, stations,
+// enrollmentReviews, settings, auditLog, complianceLog) has:
+//   find(filter, { select, sort, skip, limit })  -> [doc]
+//   findOne(filter, { select, sort })            -> doc | null
+//   findById(id, { select })                     -> doc | null (null for a malformed id)
+//   count(filter)                                -> number
+//   create(data)                                 -> doc (duplicate keys throw with code 11000)
+//   update(filter, update, { upsert, select })   -> updated doc | null
+//   updateMany(filter, update)                   -> number modified
+//   remove(filter)                               -> number removed
+//   bulkUpsert([{ filter, update }])             -> { upsertedCount, matchedCount, modifiedCount }
+// The audit and compliance logs only create, find and count. The one exception
+// is auditLog.redact(id, fields), which overwrites fields of an entry when the
+// student it names is erased (see privacy.js).
+//
+// Plus connect(), isConnected(), disconnect(), describe() and
+// reports.attendance() / reports.liveSummary() for the report routes.
+
+const BACKENDS = {
+  mongo: () => require('./mongo'),
+  file: () => require('./file')
+};
+
+const appendOnly = ({ create, find, count }) => ({ create, find, count });
+
+const createRepository = (name = process.env.DATA_BACKEND || 'mongo') => {
+  if (!BACKENDS[name]) {
+    throw new Error(`Unknown DATA_BACKEND "${name}" (available: ${Object.keys(BACKENDS).join(', ')})`);
+  }
+
+  const backend = BACKENDS[name]();
+  return {
+    ...backend,
+    auditLog: { ...appendOnly(backend.auditLog), redact: backend.auditLog.redact },
+    complianceLog: appendOnly(backend.complianceLog)
+  };
+};
+
+module.exports = createRepository();
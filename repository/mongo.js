@@ -0,0 +1,241 @@
+// MongoDB backend: the Mongoose models in models.js. Reads are lean, so both
+// backends hand back plain objects; the models decrypt face descriptors (see
+// openTemplatesOnLean) and the reports run as aggregation pipelines.
+
+const mongoose = require('mongoose');
+const { Student, Exam, Attendance, User, EnrollmentReview, AuditLog, ComplianceLog, Settings, Station } = require('../models');
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/biometricAttendance';
+
+// Lean documents carry Mongoose's version key; the file backend has none
+const withoutVersion = (doc) => {
+  if (doc) delete doc.__v;
+  return doc;
+};
+
+// Updates are validated, as save() would; validators see the query, not a document
+const UPDATE_OPTIONS = { runValidators: true, context: 'query' };
+
+const applyOptions = (query, { select, sort, skip, limit } = {}) => {
+  if (select) query.select(select);
+  if (sort) query.sort(sort);
+  if (skip) query.skip(skip);
+  if (limit) query.limit(limit);
+  return query.lean();
+};
+
+const mongoCollection = (Model) => ({
+  find: async (filter = {}, options) => (await applyOptions(Model.find(filter), options)).map(withoutVersion),
+
+  findOne: async (filter, options) => withoutVersion(await applyOptions(Model.findOne(filter), options)),
+
+  findById: async (id, options) => (mongoose.isValidObjectId(id) ? withoutVersion(await applyOptions(Model.findById(id), options)) : null),
+
+  count: (filter = {}) => Model.countDocuments(filter),
+
+  // Getters decrypt the descriptors, as a lean read would
+  create: async (data) => withoutVersion((await Model.create(data)).toObject({ getters: true, virtuals: false })),
+
+  update: async (filter, update, { upsert = false, select } = {}) =>
+    withoutVersion(await applyOptions(Model.findOneAndUpdate(filter, update, { ...UPDATE_OPTIONS, new: true, upsert }), { select })),
+
+  updateMany: async (filter, update) => (await Model.updateMany(filter, update, UPDATE_OPTIONS)).modifiedCount,
+
+  remove: async (filter) => (await Model.deleteMany(filter)).deletedCount,
+
+  async bulkUpsert(operations) {
+    const { upsertedCount, matchedCount, modifiedCount } = await Model.bulkWrite(
+      operations.map(({ filter, update }) => ({ updateOne: { filter, update, upsert: true } })),
+      { ordered: false }
+    );
+    return { upsertedCount, matchedCount, modifiedCount };
+  }
+});
+
+const reports = {
+  // Per-student and per-course attendance over [rangeStart, rangeEnd), computed inside MongoDB
+  async attendance({ course, rangeStart, rangeEnd, graceMs, threshold }) {
+    const studentMatch = { isActive: true };
+    if (course) studentMatch.course = course;
+
+    // Rounded percentage, or null when nothing was expected
+    const percentage = (present, expected) => ({
+      $cond: [
+        { $gt: [expected, 0] },
+        { $round: [{ $multiply: [{ $divide: [present, expected] }, 100] }, 1] },
+        null
+      ]
+    });
+
+    const [report] = await Student.aggregate([
+      { $match: studentMatch },
+
+      // Exam sessions for the student's course in the range
+      { $lookup: {
+        from: Exam.collection.name,
+        let: { course: '$course' },
+        pipeline: [
+          { $match: {
+            isActive: true,
+            startTime: { $gte: rangeStart, $lt: rangeEnd },
+            $expr: { $eq: ['$course', '$$course'] }
+          } },
+          { $project: { _id: 1, startTime: 1 } }
+        ],
+        as: 'exams'
+      } },
+
+      // The student's check-ins for those sessions
+      { $lookup: {
+        from: Attendance.collection.name,
+        let: { studentId: '$studentId', examIds: '$exams._id' },
+        pipeline: [
+          { $match: { $expr: { $and: [
+            { $eq: ['$studentId', '$$studentId'] },
+            { $in: ['$exam', '$$examIds'] }
+          ] } } },
+          { $project: { exam: 1, checkInTime: 1, status: 1 } }
+        ],
+        as: 'records'
+      } },
+
+      // Absent/excused records are not attendance; records from before statuses existed count as present
+      { $addFields: {
+        attended: { $filter: {
+          input: '$records',
+          as: 'record',
+          cond: { $not: [{ $in: [{ $ifNull: ['$$record.status', 'present'] }, ['absent', 'excused']] }] }
+        } },
+        excused: { $size: { $filter: {
+          input: '$records',
+          as: 'record',
+          cond: { $eq: ['$$record.status', 'excused'] }
+        } } }
+      } },
+
+      { $project: {
+        _id: 0,
+        studentId: 1,
+        name: 1,
+        course: 1,
+        // Excused sessions don't count against the student
+        expected: { $subtract: [{ $size: '$exams' }, '$excused'] },
+        present: { $size: '$attended' },
+        excused: 1,
+        // Late: the stored status, or for older records a check-in after the start plus the grace period
+        late: { $size: { $filter: {
+          input: '$attended',
+          as: 'record',
+          cond: { $cond: [
+            { $ifNull: ['$$record.status', false] },
+            { $eq: ['$$record.status', 'late'] },
+            { $gt: [
+              '$$record.checkInTime',
+              { $add: [
+                { $arrayElemAt: ['$exams.startTime', { $indexOfArray: ['$exams._id', '$$record.exam'] }] },
+                graceMs
+              ] }
+            ] }
+          ] }
+        } } }
+      } },
+      { $addFields: {
+        absent: { $subtract: ['$expected', '$present'] },
+        percentage: percentage('$present', '$expected')
+      } },
+
+      { $facet: {
+        students: [
+          { $sort: { course: 1, name: 1 } }
+        ],
+        courses: [
+          { $group: {
+            _id: '$course',
+            students: { $sum: 1 },
+            expected: { $sum: '$expected' },
+            present: { $sum: '$present' },
+            late: { $sum: '$late' },
+            excused: { $sum: '$excused' },
+            absent: { $sum: '$absent' }
+          } },
+          { $project: {
+            _id: 0,
+            course: '$_id',
+            students: 1,
+            expected: 1,
+            present: 1,
+            late: 1,
+            excused: 1,
+            absent: 1,
+            percentage: percentage('$present', '$expected')
+          } },
+          { $sort: { course: 1 } }
+        ],
+        belowThreshold: [
+          { $match: { expected: { $gt: 0 }, percentage: { $lt: threshold } } },
+          { $sort: { percentage: 1, name: 1 } }
+        ]
+      } }
+    ]);
+
+    return report;
+  },
+
+  // Today's counts per exam session and per door, before the route merges the doors
+  async liveSummary(date) {
+    const attended = { $in: [{ $ifNull: ['$status', 'present'] }, ['present', 'late']] };
+    const count = (condition) => ({ $sum: { $cond: [condition, 1, 0] } });
+    const checkedOut = { $gt: ['$checkOutTime', null] };
+
+    const [summary] = await Attendance.aggregate([
+      { $match: { date } },
+      { $facet: {
+        sessions: [
+          { $group: {
+            _id: '$exam',
+            paperCode: { $first: '$paperCode' },
+            checkedIn: count(attended),
+            late: count({ $eq: ['$status', 'late'] }),
+            absent: count({ $eq: ['$status', 'absent'] }),
+            excused: count({ $eq: ['$status', 'excused'] }),
+            manual: count({ $eq: ['$method', 'manual'] }),
+            checkedOut: count(checkedOut)
+          } },
+          { $sort: { paperCode: 1 } }
+        ],
+        checkIns: [
+          { $match: { status: { $nin: ['absent', 'excused'] } } },
+          { $group: { _id: { $ifNull: ['$station', 'default'] }, count: { $sum: 1 } } }
+        ],
+        checkOuts: [
+          { $match: { checkOutTime: { $ne: null } } },
+          { $group: { _id: { $ifNull: ['$checkOutStation', 'default'] }, count: { $sum: 1 } } }
+        ]
+      } }
+    ]);
+
+    return summary;
+  }
+};
+
+module.exports = {
+  name: 'mongo',
+  describe: () => (MONGODB_URI.includes('localhost') ? 'Local MongoDB' : 'MongoDB Atlas'),
+  connect: () => mongoose.connect(MONGODB_URI, {}),
+  isConnected: () => mongoose.connection.readyState === 1,
+  disconnect: () => mongoose.disconnect(),
+  users: mongoCollection(User),
+  students: mongoCollection(Student),
+  exams: mongoCollection(Exam),
+  attendance: mongoCollection(Attendance),
+  stations: mongoCollection(Station),
+  enrollmentReviews: mongoCollection(EnrollmentReview),
+  settings: mongoCollection(Settings),
+  auditLog: {
+    ...mongoCollection(AuditLog),
+    // Straight to the driver: the append-only hooks in models.js refuse every update
+    redact: async (id, fields) => (await AuditLog.collection.updateOne({ _id: id }, { $set: fields })).modifiedCount > 0
+  },
+  complianceLog: mongoCollection(ComplianceLog),
+  reports
+};
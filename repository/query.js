@@ -0,0 +1,279 @@
+// Mongo query semantics over plain documents, for the file backend: filters,
+// sorts, projections and updates. Filters arrive already cast by Mongoose (see
+// file.js), so values are Dates, ObjectIds, RegExps and primitives. Only the
+// operators the API uses are supported - anything else throws, so a new query
+// that needs more fails loudly instead of quietly matching the wrong records.
+
+const { Types } = require('mongoose');
+
+const isObjectId = (value) => value instanceof Types.ObjectId;
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value) &&
+  !(value instanceof Date) && !(value instanceof RegExp) && !isObjectId(value);
+
+// Deep copy; ObjectIds are shared since nothing mutates them
+const clone = (value) => {
+  if (Array.isArray(value)) return value.map(clone);
+  if (value instanceof Date) return new Date(value.getTime());
+  if (value instanceof RegExp) return new RegExp(value.source, value.flags);
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, clone(item)]));
+  }
+  return value;
+};
+
+// ========== COMPARISON ==========
+
+// Mongo's order between types: missing/null < numbers < strings < objects < arrays < ObjectIds < booleans < dates
+const typeRank = (value) => {
+  if (value === undefined || value === null) return 0;
+  if (typeof value === 'number') return 1;
+  if (typeof value === 'string') return 2;
+  if (isPlainObject(value)) return 3;
+  if (Array.isArray(value)) return 4;
+  if (isObjectId(value)) return 5;
+  if (typeof value === 'boolean') return 6;
+  if (value instanceof Date) return 7;
+  return 8;
+};
+
+const compare = (a, b) => {
+  const rank = typeRank(a);
+  if (rank !== typeRank(b)) return rank - typeRank(b);
+
+  switch (rank) {
+    case 0:
+      return 0;
+    case 1:
+    case 6:
+      return a - b;
+    case 7:
+      return a.getTime() - b.getTime();
+    default: {
+      // Strings compare by code point, as in Mongo's default collation
+      const left = rank === 2 ? a : rank === 5 ? a.toHexString() : JSON.stringify(a);
+      const right = rank === 2 ? b : rank === 5 ? b.toHexString() : JSON.stringify(b);
+      return left < right ? -1 : left > right ? 1 : 0;
+    }
+  }
+};
+
+// Equality against one filter value. An array field matches if any element does.
+const matchesValue = (value, expected) => {
+  if (expected instanceof RegExp) {
+    return [].concat(value).some(item => typeof item === 'string' && expected.test(item));
+  }
+  if (Array.isArray(value) && !Array.isArray(expected) && value.some(item => compare(item, expected) === 0)) {
+    return true;
+  }
+  return compare(value, expected) === 0;
+};
+
+// $gt and friends only compare values of the same type, like Mongo
+const range = (test) => (values, expected) =>
+  values.some(value => [].concat(value).some(item => typeRank(item) === typeRank(expected) && test(compare(item, expected))));
+
+// ========== FILTERS ==========
+
+// Values at a dotted path. Arrays along the way fan out as in Mongo:
+// 'faceTemplates.source' is every template's source, 'faceTemplates.0' the first template.
+const valuesAt = (doc, path) => {
+  const walk = (value, parts) => {
+    if (parts.length === 0) return [value];
+    if (Array.isArray(value)) {
+      if (/^\d+$/.test(parts[0])) return walk(value[Number(parts[0])], parts.slice(1));
+      return value.flatMap(item => walk(item, parts));
+    }
+    if (!isPlainObject(value)) return [undefined];
+    return walk(value[parts[0]], parts.slice(1));
+  };
+
+  const values = walk(doc, path.split('.'));
+  return values.length > 0 ? values : [undefined];
+};
+
+const OPERATORS = {
+  $eq: (values, expected) => values.some(value => matchesValue(value, expected)),
+  $ne: (values, expected) => !values.some(value => matchesValue(value, expected)),
+  $in: (values, list) => list.some(expected => values.some(value => matchesValue(value, expected))),
+  $nin: (values, list) => !list.some(expected => values.some(value => matchesValue(value, expected))),
+  $gt: range(result => result > 0),
+  $gte: range(result => result >= 0),
+  $lt: range(result => result < 0),
+  $lte: range(result => result <= 0),
+  $exists: (values, exists) => values.some(value => value !== undefined) === Boolean(exists),
+  $regex: (values, pattern, condition) => {
+    const regex = pattern instanceof RegExp ? pattern : new RegExp(pattern, condition.$options || '');
+    return values.some(value => matchesValue(value, regex));
+  },
+  // Read by $regex
+  $options: () => true
+};
+
+const isOperatorObject = (condition) =>
+  isPlainObject(condition) && Object.keys(condition).length > 0 && Object.keys(condition).every(key => key.startsWith('$'));
+
+const matches = (doc, filter) => Object.entries(filter || {}).every(([key, condition]) => {
+  if (key === '$or') return condition.some(part => matches(doc, part));
+  if (key === '$and') return condition.every(part => matches(doc, part));
+  if (key === '$nor') return !condition.some(part => matches(doc, part));
+  if (key.startsWith('$')) throw new Error(`Unsupported query operator ${key}`);
+
+  const values = valuesAt(doc, key);
+  if (!isOperatorObject(condition)) return values.some(value => matchesValue(value, condition));
+
+  return Object.entries(condition).every(([operator, expected]) => {
+    if (!OPERATORS[operator]) throw new Error(`Unsupported query operator ${operator}`);
+    return OPERATORS[operator](values, expected, condition);
+  });
+});
+
+// ========== SORT & PROJECTION ==========
+
+// Sort in place by a Mongo sort object ({ field: 1 | -1 }); ties keep insertion order
+const sortDocuments = (docs, sort) => {
+  const keys = Object.entries(sort || {});
+  if (keys.length === 0) return docs;
+
+  return docs.sort((a, b) => {
+    for (const [path, direction] of keys) {
+      const result = compare(valuesAt(a, path)[0], valuesAt(b, path)[0]);
+      if (result !== 0) return direction === -1 || direction === 'desc' ? -result : result;
+    }
+    return 0;
+  });
+};
+
+// { inclusive, paths, excludeId } from a Mongoose select: 'a b.c', '-a -b', { a: 1 } or { a: 0 }
+const parseProjection = (select) => {
+  const entries = typeof select === 'string'
+    ? select.split(/\s+/).filter(Boolean).map(field => (field.startsWith('-') ? [field.slice(1), 0] : [field, 1]))
+    : Object.entries(select).map(([field, value]) => [field, value ? 1 : 0]);
+
+  const fields = entries.filter(([field]) => field !== '_id');
+  if (fields.some(([, value]) => value !== fields[0][1])) {
+    throw new Error('A projection cannot both include and exclude fields');
+  }
+
+  return {
+    inclusive: fields.length > 0 && fields[0][1] === 1,
+    paths: fields.map(([field]) => field.split('.')),
+    excludeId: entries.some(([field, value]) => field === '_id' && !value)
+  };
+};
+
+// Copy the value at parts from source into target, through arrays of sub-documents
+const copyPath = (target, source, parts) => {
+  const [head, ...rest] = parts;
+  if (source[head] === undefined) return;
+
+  const value = source[head];
+  if (rest.length === 0) {
+    target[head] = value;
+  } else if (Array.isArray(value)) {
+    target[head] = target[head] || value.map(() => ({}));
+    value.forEach((item, index) => {
+      if (isPlainObject(item)) copyPath(target[head][index], item, rest);
+    });
+  } else if (isPlainObject(value)) {
+    target[head] = target[head] || {};
+    copyPath(target[head], value, rest);
+  }
+};
+
+const removePath = (target, parts) => {
+  const [head, ...rest] = parts;
+  if (rest.length === 0) {
+    delete target[head];
+    return;
+  }
+
+  [].concat(target[head]).forEach(item => {
+    if (isPlainObject(item)) removePath(item, rest);
+  });
+};
+
+// Apply a select to a document (a copy - it is modified)
+const project = (doc, select) => {
+  if (!select || Object.keys(select).length === 0) return doc;
+
+  const { inclusive, paths, excludeId } = parseProjection(select);
+  let result = doc;
+
+  if (inclusive) {
+    result = doc._id !== undefined ? { _id: doc._id } : {};
+    paths.forEach(parts => copyPath(result, doc, parts));
+  } else {
+    paths.forEach(parts => removePath(result, parts));
+  }
+
+  if (excludeId) delete result._id;
+  return result;
+};
+
+// ========== UPDATES ==========
+
+const setPath = (doc, path, value) => {
+  const parts = path.split('.');
+  const last = parts.pop();
+  const parent = parts.reduce((node, part) => {
+    if (!isPlainObject(node[part]) && !Array.isArray(node[part])) node[part] = {};
+    return node[part];
+  }, doc);
+  parent[last] = value;
+};
+
+const getPath = (doc, path) => path.split('.').reduce((node, part) => (node == null ? undefined : node[part]), doc);
+
+// Apply a Mongo update to a copy of doc: $set, $unset, $inc, $push (with $each)
+// and, when inserting, $setOnInsert. Top-level fields without an operator are
+// set, and undefined values are skipped - both as Mongoose does.
+const applyUpdate = (doc, update, { inserting = false } = {}) => {
+  const { $set = {}, $unset = {}, $inc = {}, $push = {}, $setOnInsert = {}, ...rest } = update;
+  const result = clone(doc);
+
+  Object.keys(rest).forEach(key => {
+    if (key.startsWith('$')) throw new Error(`Unsupported update operator ${key}`);
+  });
+
+  Object.entries({ ...rest, ...$set, ...(inserting ? $setOnInsert : {}) }).forEach(([path, value]) => {
+    if (value !== undefined) setPath(result, path, clone(value));
+  });
+
+  Object.keys($unset).forEach(path => {
+    const parts = path.split('.');
+    const parent = getPath(result, parts.slice(0, -1).join('.'));
+    if (parts.length === 1) delete result[path];
+    else if (isPlainObject(parent)) delete parent[parts[parts.length - 1]];
+  });
+
+  Object.entries($inc).forEach(([path, amount]) => setPath(result, path, (getPath(result, path) || 0) + amount));
+
+  Object.entries($push).forEach(([path, value]) => {
+    const items = isPlainObject(value) && Array.isArray(value.$each) ? value.$each : [value];
+    setPath(result, path, [...(getPath(result, path) || []), ...clone(items)]);
+  });
+
+  return result;
+};
+
+// Fields an upsert starts from: the plain equality conditions of its filter
+const insertFields = (filter) => {
+  const doc = {};
+  Object.entries(filter || {}).forEach(([path, value]) => {
+    if (!path.startsWith('$') && !isOperatorObject(value) && !(value instanceof RegExp)) setPath(doc, path, clone(value));
+  });
+  return doc;
+};
+
+module.exports = {
+  clone,
+  compare,
+  valuesAt,
+  matches,
+  sortDocuments,
+  project,
+  applyUpdate,
+  insertFields
+};
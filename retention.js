@@ -0,0 +1,120 @@
+// Retention jobs: delete data we are only allowed to keep for a while.
+// Runs once at startup and then daily while the server is up.
+
+const db = require('./repository');
+const { recordAudit } = require('./audit');
+const { recordCompliance } = require('./privacy');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Evidence snapshots are kept for SNAPSHOT_RETENTION_DAYS after the check-in
+const SNAPSHOT_RETENTION_DAYS = parseInt(process.env.SNAPSHOT_RETENTION_DAYS, 10) || 30;
+
+// Face templates are kept for TEMPLATE_RETENTION_DAYS after a student is
+// deactivated or graduates
+const TEMPLATE_RETENTION_DAYS = parseInt(process.env.TEMPLATE_RETENTION_DAYS, 10) || 365;
+
+// Delete snapshot files older than the retention period; the record keeps purgedAt
+const purgeExpiredSnapshots = async (storage) => {
+  const cutoff = new Date(Date.now() - SNAPSHOT_RETENTION_DAYS * DAY_MS);
+  const expired = await db.attendance.find(
+    { 'snapshot.key': { $exists: true }, checkInTime: { $lt: cutoff } },
+    { select: 'snapshot' }
+  );
+
+  let purged = 0;
+  for (const record of expired) {
+    try {
+      await storage.remove(record.snapshot.key);
+      if (record.snapshot.thumbnailKey) await storage.remove(record.snapshot.thumbnailKey);
+
+      await db.attendance.update(
+        { _id: record._id },
+        { $unset: { 'snapshot.key': '', 'snapshot.thumbnailKey': '' }, $set: { 'snapshot.purgedAt': new Date() } }
+      );
+      purged++;
+    } catch (error) {
+      console.error('❌ Snapshot purge failed for', record._id.toString(), error.message);
+    }
+  }
+
+  if (purged > 0) {
+    await recordAudit(null, {
+      action: 'snapshot.purge',
+      targetType: 'attendance',
+      details: { purged, retentionDays: SNAPSHOT_RETENTION_DAYS, before: cutoff }
+    });
+    console.log(`🧹 Purged ${purged} snapshots older than ${SNAPSHOT_RETENTION_DAYS} days`);
+  }
+
+  return purged;
+};
+
+// Drop the face templates of students who left more than TEMPLATE_RETENTION_DAYS
+// ago. The student record stays (as pending enrollment) for attendance history.
+const purgeInactiveTemplates = async () => {
+  const cutoff = new Date(Date.now() - TEMPLATE_RETENTION_DAYS * DAY_MS);
+  const expired = await db.students.find({
+    'faceTemplates.0': { $exists: true },
+    $or: [
+      { isActive: false, deactivatedAt: { $lt: cutoff } },
+      // Deactivated before deactivatedAt was recorded
+      { isActive: false, deactivatedAt: { $exists: false }, updatedAt: { $lt: cutoff } },
+      { graduatedAt: { $lt: cutoff } }
+    ]
+  }, { select: 'studentId faceTemplates isActive graduatedAt' });
+
+  for (const student of expired) {
+    await db.students.update(
+      { _id: student._id },
+      { $set: { faceTemplates: [], enrollmentStatus: 'pending', templatesPurgedAt: new Date() } }
+    );
+    const reviewsCleared = await db.enrollmentReviews.updateMany(
+      { studentId: student.studentId, 'proposedTemplates.0': { $exists: true } },
+      { $set: { proposedTemplates: [] } }
+    );
+
+    await recordCompliance(null, {
+      action: 'templatePurge',
+      subjectId: student.studentId,
+      reason: student.isActive
+        ? `Graduated more than ${TEMPLATE_RETENTION_DAYS} days ago`
+        : `Inactive for more than ${TEMPLATE_RETENTION_DAYS} days`,
+      details: { templatesDeleted: student.faceTemplates.length, reviewsCleared }
+    });
+  }
+
+  if (expired.length > 0) {
+    console.log(`🧹 Purged face templates of ${expired.length} students gone more than ${TEMPLATE_RETENTION_DAYS} days`);
+  }
+
+  return expired.length;
+};
+
+const runRetention = async (storage) => {
+  try {
+    await purgeExpiredSnapshots(storage);
+  } catch (error) {
+    console.error('❌ Retention job error:', error.message);
+  }
+
+  try {
+    await purgeInactiveTemplates();
+  } catch (error) {
+    console.error('❌ Template purge error:', error.message);
+  }
+};
+
+// Start the daily job; the timer doesn't keep the process alive on its own
+const startRetentionJobs = (storage) => {
+  runRetention(storage);
+  setInterval(() => runRetention(storage), DAY_MS).unref();
+};
+
+module.exports = {
+  SNAPSHOT_RETENTION_DAYS,
+  TEMPLATE_RETENTION_DAYS,
+  purgeExpiredSnapshots,
+  purgeInactiveTemplates,
+  startRetentionJobs
+};
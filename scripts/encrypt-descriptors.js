@@ -0,0 +1,49 @@
+// One-off migration: encrypt face descriptors still stored as plain number
+// arrays (see encryption.js). Every template is read and written back through
+// the data backend, which seals it with the current key. Safe to run more than once.
+//
+//   MONGODB_URI=... DESCRIPTOR_KEY=... node scripts/encrypt-descriptors.js
+//   DATA_BACKEND=file DESCRIPTOR_KEY=... node scripts/encrypt-descriptors.js
+//
+// With DATA_BACKEND=file stop the server first: it holds DATA_DIR in memory
+// and would write the plain descriptors back.
+
+const db = require('../repository');
+const { loadKeyRing } = require('../encryption');
+
+const BATCH_SIZE = 200;
+
+// Write one template array field back on every record that has one
+async function encryptField(collection, name, field) {
+  const filter = { [`${field}.0`]: { $exists: true } };
+
+  let encrypted = 0;
+  for (let skip = 0; ; skip += BATCH_SIZE) {
+    const batch = await collection.find(filter, { select: field, sort: { _id: 1 }, skip, limit: BATCH_SIZE });
+    if (batch.length === 0) break;
+
+    for (const record of batch) {
+      await collection.update({ _id: record._id }, { $set: { [field]: record[field] } });
+      encrypted++;
+    }
+  }
+
+  console.log(`✅ ${name}.${field}: sealed descriptors on ${encrypted} records`);
+}
+
+async function migrate() {
+  console.log(`🔐 Encrypting with key ${loadKeyRing().currentId}`);
+
+  await db.connect();
+  console.log(`✅ Connected to ${db.describe()}`);
+
+  await encryptField(db.students, 'students', 'faceTemplates');
+  await encryptField(db.enrollmentReviews, 'enrollmentReviews', 'proposedTemplates');
+}
+
+migrate()
+  .catch(err => {
+    console.error('❌ Migration failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => db.disconnect());
@@ -0,0 +1,306 @@
+// Offline accuracy check for the face matcher: genuine and impostor distance
+// distributions, FAR/FRR over a sweep of thresholds, and the equal-error rate.
+//
+//   MONGODB_URI=... node scripts/evaluate-recognition.js
+//   DATA_BACKEND=file node scripts/evaluate-recognition.js
+//   node scripts/evaluate-recognition.js --input dataset.json --probes probes.json
+//
+// Options:
+//   --input <file>   labelled set { students: [{ studentId, faceTemplates: [{ descriptor }] }] }
+//                    instead of reading the Student collection
+//   --probes <file>  extra probe samples [{ studentId, descriptor }] (e.g. captured at enrollment)
+//   --out <dir>      where to write the JSON and HTML report (default reports/)
+//   --from, --to, --step   threshold sweep (default 0.2 to 1.0 in steps of 0.02)
+//   --sample <n>     evaluate at most n probes, picked at random (large populations)
+//   --threshold <t>  threshold to report separately (default: the match threshold in the
+//                    recognition settings, as the kiosks use it; MATCH_THRESHOLD with --input)
+//
+// Every enrolled template is also used as a probe against the rest of the set
+// (leave-one-out). Probes are scored exactly like a kiosk scores a student:
+// matching.js templateDistance, the closest of that student's templates.
+
+const fs = require('fs');
+const path = require('path');
+const db = require('../repository');
+const { MATCH_THRESHOLD, isValidDescriptor, templateDistance } = require('../matching');
+
+// --name value pairs from the command line
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i += 2) {
+    if (!argv[i].startsWith('--')) throw new Error(`Unexpected argument ${argv[i]}`);
+    args[argv[i].slice(2)] = argv[i + 1];
+  }
+  return args;
+}
+
+// --name as a number, or fallback when it isn't given
+function numberArg(args, name, fallback) {
+  if (args[name] === undefined) return fallback;
+  const value = Number(args[name]);
+  if (!Number.isFinite(value)) throw new Error(`--${name} must be a number, got "${args[name]}"`);
+  return value;
+}
+
+const readJson = (file) => JSON.parse(fs.readFileSync(file, 'utf8'));
+
+async function loadStudents(input) {
+  if (input) return readJson(input).students || [];
+
+  await db.connect();
+  console.log(`✅ Connected to ${db.describe()}`);
+
+  // Reads come back with descriptors decrypted (see repository/)
+  return db.students.find(
+    { isActive: true, 'faceTemplates.0': { $exists: true } },
+    { select: 'studentId faceTemplates.descriptor' }
+  );
+}
+
+// [{ studentId, descriptor, gallery }] - gallery is the templates the probe is
+// compared with for its own student (the other ones, for leave-one-out probes)
+function buildProbes(students, extraProbes) {
+  const probes = [];
+
+  students.forEach(student => {
+    const templates = student.faceTemplates;
+    if (templates.length < 2) return;
+
+    templates.forEach((template, index) => {
+      probes.push({
+        studentId: student.studentId,
+        descriptor: template.descriptor,
+        gallery: templates.filter((_, other) => other !== index)
+      });
+    });
+  });
+
+  extraProbes.forEach(probe => {
+    const student = students.find(s => s.studentId === String(probe.studentId).toUpperCase());
+    if (!student || !isValidDescriptor(probe.descriptor)) {
+      console.log('⚠️  Skipping probe for unknown student or invalid descriptor:', probe.studentId);
+      return;
+    }
+    probes.push({ studentId: student.studentId, descriptor: probe.descriptor, gallery: student.faceTemplates });
+  });
+
+  return probes;
+}
+
+function sample(list, size) {
+  if (!size || list.length <= size) return list;
+
+  const copy = list.slice();
+  for (let i = copy.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [copy[i], copy[j]] = [copy[j], copy[i]];
+  }
+  return copy.slice(0, size);
+}
+
+// One genuine score per probe, one impostor score per (probe, other student)
+function scoreProbes(probes, students) {
+  const genuine = [];
+  const impostor = [];
+
+  probes.forEach(probe => {
+    genuine.push(templateDistance(probe.descriptor, probe.gallery));
+    students.forEach(student => {
+      if (student.studentId !== probe.studentId) impostor.push(templateDistance(probe.descriptor, student.faceTemplates));
+    });
+  });
+
+  return {
+    genuine: genuine.sort((a, b) => a - b),
+    impostor: impostor.sort((a, b) => a - b)
+  };
+}
+
+// Number of sorted values below t
+function countBelow(sorted, t) {
+  let low = 0;
+  let high = sorted.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (sorted[mid] < t) low = mid + 1;
+    else high = mid;
+  }
+  return low;
+}
+
+// A face matches when its distance is below the threshold (as in matchFace):
+// FAR = impostors accepted, FRR = genuine attempts rejected
+function ratesAt(scores, threshold) {
+  return {
+    threshold: Number(threshold.toFixed(4)),
+    far: scores.impostor.length ? countBelow(scores.impostor, threshold) / scores.impostor.length : 0,
+    frr: scores.genuine.length ? 1 - countBelow(scores.genuine, threshold) / scores.genuine.length : 0
+  };
+}
+
+// Threshold where FAR and FRR cross, checked at every observed score
+function equalErrorRate(scores) {
+  let best = null;
+  [...scores.genuine, ...scores.impostor].forEach(score => {
+    const rates = ratesAt(scores, score);
+    const gap = Math.abs(rates.far - rates.frr);
+    if (!best || gap < best.gap) best = { ...rates, gap };
+  });
+
+  return best && { threshold: best.threshold, eer: (best.far + best.frr) / 2 };
+}
+
+function histogram(sorted, binWidth = 0.05) {
+  const bins = new Map();
+  sorted.forEach(value => {
+    // The epsilon keeps 0.35 / 0.05 = 6.999... in the 0.35 bin
+    const start = Math.floor(value / binWidth + 1e-9) * binWidth;
+    const key = start.toFixed(2);
+    bins.set(key, (bins.get(key) || 0) + 1);
+  });
+  return Array.from(bins, ([from, count]) => ({ from: Number(from), count }));
+}
+
+const summarise = (sorted) => ({
+  count: sorted.length,
+  min: sorted[0],
+  median: sorted[Math.floor(sorted.length / 2)],
+  max: sorted[sorted.length - 1],
+  mean: sorted.reduce((sum, value) => sum + value, 0) / (sorted.length || 1)
+});
+
+const percent = (rate) => `${(rate * 100).toFixed(2)}%`;
+
+// Small self-contained page: FAR/FRR curves and both histograms as inline SVG
+function renderHtml(report) {
+  const width = 640;
+  const height = 240;
+  const { from, to } = report.sweepRange;
+  const x = (t) => ((t - from) / (to - from)) * width;
+  const y = (rate) => height - rate * height;
+  const line = (key) => report.sweep.map(point => `${x(point.threshold).toFixed(1)},${y(point[key]).toFixed(1)}`).join(' ');
+
+  const maxCount = Math.max(1, ...report.histograms.genuine.map(b => b.count), ...report.histograms.impostor.map(b => b.count));
+  const bars = (bins, color) => bins
+    .filter(bin => bin.from >= from && bin.from < to)
+    .map(bin => `<rect x="${x(bin.from).toFixed(1)}" y="${(height - (bin.count / maxCount) * height).toFixed(1)}" width="${(x(bin.from + 0.05) - x(bin.from)).toFixed(1)}" height="${((bin.count / maxCount) * height).toFixed(1)}" fill="${color}" opacity="0.5"></rect>`)
+    .join('');
+
+  const marker = (t, color) => `<line x1="${x(t)}" x2="${x(t)}" y1="0" y2="${height}" stroke="${color}" stroke-dasharray="4"></line>`;
+
+  const rows = report.sweep.map(point => `
+        <tr${point.threshold === report.production.threshold ? ' class="current"' : ''}>
+          <td>${point.threshold.toFixed(2)}</td><td>${percent(point.far)}</td><td>${percent(point.frr)}</td>
+        </tr>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>Recognition accuracy report</title>
+  <style>
+    body { font-family: sans-serif; margin: 30px; color: #1e293b; }
+    svg { border: 1px solid #e2e8f0; margin-bottom: 20px; }
+    table { border-collapse: collapse; }
+    td, th { padding: 4px 12px; border-bottom: 1px solid #e2e8f0; text-align: right; }
+    tr.current { background: #eef2ff; font-weight: bold; }
+    .legend span { margin-right: 16px; }
+  </style>
+</head>
+<body>
+  <h1>Recognition accuracy report</h1>
+  <p>${report.generatedAt} · ${report.students} students · ${report.probes} probes ·
+     ${report.genuine.count} genuine and ${report.impostor.count} impostor comparisons</p>
+  <p><b>Equal-error rate:</b> ${report.eer ? `${percent(report.eer.eer)} at threshold ${report.eer.threshold.toFixed(3)}` : 'n/a'}<br>
+     <b>Production threshold ${report.production.threshold}:</b> FAR ${percent(report.production.far)}, FRR ${percent(report.production.frr)}</p>
+
+  <h2>FAR / FRR by threshold</h2>
+  <p class="legend"><span style="color:#dc2626">■ FAR</span><span style="color:#4f46e5">■ FRR</span><span>┆ production threshold</span></p>
+  <svg width="${width}" height="${height}">
+    <polyline points="${line('far')}" fill="none" stroke="#dc2626" stroke-width="2"></polyline>
+    <polyline points="${line('frr')}" fill="none" stroke="#4f46e5" stroke-width="2"></polyline>
+    ${marker(report.production.threshold, '#64748b')}
+  </svg>
+
+  <h2>Distance distributions</h2>
+  <p class="legend"><span style="color:#059669">■ genuine</span><span style="color:#dc2626">■ impostor</span></p>
+  <svg width="${width}" height="${height}">
+    ${bars(report.histograms.genuine, '#059669')}
+    ${bars(report.histograms.impostor, '#dc2626')}
+    ${marker(report.production.threshold, '#64748b')}
+  </svg>
+
+  <h2>Sweep</h2>
+  <table>
+    <tr><th>Threshold</th><th>FAR</th><th>FRR</th></tr>${rows}
+  </table>
+</body>
+</html>
+`;
+}
+
+async function evaluate() {
+  const args = parseArgs(process.argv.slice(2));
+  const from = numberArg(args, 'from', 0.2);
+  const to = numberArg(args, 'to', 1.0);
+  const step = numberArg(args, 'step', 0.02);
+  const outDir = args.out || path.join(__dirname, '..', 'reports');
+  const thresholdArg = numberArg(args, 'threshold', undefined);
+
+  if (step <= 0 || from > to) throw new Error('The sweep needs --from <= --to and a positive --step');
+
+  const students = (await loadStudents(args.input))
+    .map(student => ({
+      studentId: String(student.studentId).toUpperCase(),
+      faceTemplates: (student.faceTemplates || []).filter(t => isValidDescriptor(t.descriptor))
+    }))
+    .filter(student => student.faceTemplates.length > 0);
+
+  // Without --threshold, report the threshold the kiosks are using now. Read-only:
+  // settings.js would create the settings document, and --input runs offline.
+  let threshold = thresholdArg;
+  if (threshold === undefined) {
+    const settings = args.input ? null : await db.settings.findOne({ key: 'recognition' });
+    threshold = settings ? settings.matchThreshold : MATCH_THRESHOLD;
+  }
+
+  const probes = sample(buildProbes(students, args.probes ? readJson(args.probes) : []), parseInt(args.sample, 10));
+  if (probes.length === 0) {
+    throw new Error('No probes to evaluate - students need at least two templates, or pass --probes');
+  }
+
+  console.log(`📝 Scoring ${probes.length} probes against ${students.length} students`);
+  const scores = scoreProbes(probes, students);
+
+  const sweep = [];
+  for (let i = 0; from + i * step <= to + 1e-9; i++) sweep.push(ratesAt(scores, from + i * step));
+
+  const report = {
+    generatedAt: new Date().toISOString(),
+    students: students.length,
+    probes: probes.length,
+    genuine: summarise(scores.genuine),
+    impostor: summarise(scores.impostor),
+    eer: equalErrorRate(scores),
+    production: ratesAt(scores, threshold),
+    sweepRange: { from, to, step },
+    sweep,
+    histograms: { genuine: histogram(scores.genuine), impostor: histogram(scores.impostor) }
+  };
+
+  fs.mkdirSync(outDir, { recursive: true });
+  const base = path.join(outDir, `recognition-${report.generatedAt.slice(0, 10)}`);
+  fs.writeFileSync(`${base}.json`, JSON.stringify(report, null, 2));
+  fs.writeFileSync(`${base}.html`, renderHtml(report));
+
+  if (report.eer) console.log(`✅ EER ${percent(report.eer.eer)} at threshold ${report.eer.threshold.toFixed(3)}`);
+  console.log(`✅ At ${threshold}: FAR ${percent(report.production.far)}, FRR ${percent(report.production.frr)}`);
+  console.log(`📝 Report written to ${base}.json and ${base}.html`);
+}
+
+evaluate()
+  .catch(err => {
+    console.error('❌ Evaluation failed:', err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => db.disconnect());
@@ -0,0 +1,42 @@
+// Create the descriptor key file for a new installation (see encryption.js).
+//
+//   node scripts/init-descriptor-key.js
+//   DATA_BACKEND=file node scripts/init-descriptor-key.js
+//
+// The server never makes a key itself. This refuses to run when a key is
+// already configured, or when students or held reviews already have face
+// templates: those were sealed with another key, which has to be restored -
+// a new one would leave them unreadable. Back the new key file up.
+
+const fs = require('fs');
+const db = require('../repository');
+const { KEY_FILE, generateKey, keyId, parseKey } = require('../encryption');
+
+async function init() {
+  if (process.env.DESCRIPTOR_KEY) {
+    throw new Error('DESCRIPTOR_KEY is set - that is the key in use, no key file is needed');
+  }
+  if (fs.existsSync(KEY_FILE)) {
+    throw new Error(`${KEY_FILE} already exists`);
+  }
+
+  await db.connect();
+  console.log(`✅ Connected to ${db.describe()}`);
+
+  const students = await db.students.count({ 'faceTemplates.0': { $exists: true } });
+  const reviews = await db.enrollmentReviews.count({ 'proposedTemplates.0': { $exists: true } });
+  if (students + reviews > 0) {
+    throw new Error(`${students} students and ${reviews} held reviews already have face templates - restore the key that sealed them instead`);
+  }
+
+  const encoded = generateKey();
+  fs.writeFileSync(KEY_FILE, `${encoded}\n`, { mode: 0o600, flag: 'wx' });
+  console.log(`✅ Descriptor key ${keyId(parseKey(encoded, KEY_FILE))} written to ${KEY_FILE} - back it up, descriptors cannot be read without it`);
+}
+
+init()
+  .catch(err => {
+    console.error('❌ Key setup failed:', err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => db.disconnect());
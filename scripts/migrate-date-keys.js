@@ -0,0 +1,51 @@
+// One-off migration: rewrite attendance `date` values written with
+// toLocaleDateString() ("11/18/2025", "18/11/2025", ...) as ISO YYYY-MM-DD keys.
+// The key is recomputed from checkInTime in INSTITUTION_TIMEZONE, because the
+// old strings are ambiguous. Safe to run more than once.
+//
+//   MONGODB_URI=... INSTITUTION_TIMEZONE=Africa/Nairobi node scripts/migrate-date-keys.js
+
+const mongoose = require('mongoose');
+const { Attendance } = require('../models');
+const { TIMEZONE, toDateKey } = require('../dates');
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/biometricAttendance';
+
+async function migrate() {
+  await mongoose.connect(MONGODB_URI, {});
+  console.log('✅ MongoDB Connected Successfully');
+  console.log('🕒 Institution timezone:', TIMEZONE);
+
+  const cursor = Attendance.collection.find(
+    { date: { $not: /^\d{4}-\d{2}-\d{2}$/ } },
+    { projection: { date: 1, checkInTime: 1, createdAt: 1, studentId: 1 } }
+  );
+
+  let migrated = 0;
+  let skipped = 0;
+
+  for await (const doc of cursor) {
+    const checkedInAt = doc.checkInTime || doc.createdAt;
+
+    if (!checkedInAt) {
+      console.log('⚠️  No check-in time, skipping:', doc._id, doc.studentId, doc.date);
+      skipped++;
+      continue;
+    }
+
+    await Attendance.collection.updateOne(
+      { _id: doc._id },
+      { $set: { date: toDateKey(new Date(checkedInAt)) } }
+    );
+    migrated++;
+  }
+
+  console.log(`✅ Rewrote ${migrated} attendance dates, skipped ${skipped}`);
+}
+
+migrate()
+  .catch(err => {
+    console.error('❌ Migration failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
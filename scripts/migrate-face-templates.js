@@ -0,0 +1,55 @@
+// One-off migration: move the old single `faceDescriptor` on each student
+// into the `faceTemplates` list. Safe to run more than once; students it
+// can't migrate are listed and left as they are.
+//
+//   MONGODB_URI=... node scripts/migrate-face-templates.js
+
+const mongoose = require('mongoose');
+const { Student } = require('../models');
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/biometricAttendance';
+
+async function migrate() {
+  await mongoose.connect(MONGODB_URI, {});
+  console.log('✅ MongoDB Connected Successfully');
+
+  // Read through the raw collection - faceDescriptor is no longer in the schema
+  const cursor = Student.collection.find({ faceDescriptor: { $exists: true } });
+
+  let migrated = 0;
+  let skipped = 0;
+
+  for await (const doc of cursor) {
+    const hasDescriptor = Array.isArray(doc.faceDescriptor) && doc.faceDescriptor.length === 128;
+    const hasTemplates = Array.isArray(doc.faceTemplates) && doc.faceTemplates.length > 0;
+
+    // Skipped records keep their faceDescriptor, so nothing is lost that wasn't copied
+    if (!hasDescriptor || hasTemplates) {
+      console.log('⚠️  Skipping descriptor for:', doc.studentId, hasTemplates ? '(already has templates)' : '(invalid descriptor)');
+      skipped++;
+      continue;
+    }
+
+    await Student.collection.updateOne({ _id: doc._id }, {
+      $set: {
+        faceTemplates: [{
+          _id: new mongoose.Types.ObjectId(),
+          descriptor: doc.faceDescriptor,
+          source: 'migrated',
+          capturedAt: doc.registeredAt || doc.createdAt || new Date()
+        }]
+      },
+      $unset: { faceDescriptor: '' }
+    });
+    migrated++;
+  }
+
+  console.log(`✅ Migrated ${migrated} students, skipped ${skipped}`);
+}
+
+migrate()
+  .catch(err => {
+    console.error('❌ Migration failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
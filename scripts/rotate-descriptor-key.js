@@ -0,0 +1,86 @@
+// Re-encrypt every face descriptor with a new key (see encryption.js).
+//
+//   MONGODB_URI=... node scripts/rotate-descriptor-key.js
+//   DATA_BACKEND=file node scripts/rotate-descriptor-key.js
+//
+// The new key is NEW_DESCRIPTOR_KEY if set, otherwise one is generated and
+// written to <key file>.new before anything is re-encrypted, so an
+// interrupted run can simply be started again. When the key comes from the
+// key file, the file is swapped over at the end (the old key is kept as
+// <key file>.old). When it comes from DESCRIPTOR_KEY, set the new key there
+// yourself before restarting.
+//
+// Stop the server first, or add the new key to its DESCRIPTOR_OLD_KEYS, so it
+// can still read records that are already re-encrypted. With DATA_BACKEND=file
+// the server must be stopped: it holds DATA_DIR in memory and would write the
+// old records back.
+
+const fs = require('fs');
+const db = require('../repository');
+const { KEY_FILE, generateKey, keyId, parseKey, loadKeyRing, useKey } = require('../encryption');
+
+const NEW_KEY_FILE = `${KEY_FILE}.new`;
+const BATCH_SIZE = 200;
+
+// NEW_DESCRIPTOR_KEY, or the key left by an earlier interrupted run, or a fresh one
+function newKey() {
+  if (process.env.NEW_DESCRIPTOR_KEY) return parseKey(process.env.NEW_DESCRIPTOR_KEY, 'NEW_DESCRIPTOR_KEY');
+
+  if (!fs.existsSync(NEW_KEY_FILE)) {
+    fs.writeFileSync(NEW_KEY_FILE, `${generateKey()}\n`, { mode: 0o600, flag: 'wx' });
+    console.log(`📝 New key written to ${NEW_KEY_FILE}`);
+  }
+  return parseKey(fs.readFileSync(NEW_KEY_FILE, 'utf8'), NEW_KEY_FILE);
+}
+
+// Re-encrypt one template array field: each record is read (opened with
+// whichever key sealed it) and written back, sealed with the new current key
+async function rotateField(collection, name, field) {
+  const filter = { [`${field}.0`]: { $exists: true } };
+
+  let rotated = 0;
+  for (let skip = 0; ; skip += BATCH_SIZE) {
+    const batch = await collection.find(filter, { select: field, sort: { _id: 1 }, skip, limit: BATCH_SIZE });
+    if (batch.length === 0) break;
+
+    for (const record of batch) {
+      await collection.update({ _id: record._id }, { $set: { [field]: record[field] } });
+      rotated++;
+    }
+  }
+
+  console.log(`✅ ${name}.${field}: re-encrypted ${rotated} records`);
+}
+
+async function rotate() {
+  const oldId = loadKeyRing().currentId;
+  const key = newKey();
+
+  // Writes now seal with the new key. The old one still opens the rest, and the
+  // records an interrupted run already did open with the new one.
+  useKey(key);
+  console.log(`🔐 Rotating descriptor key ${oldId} → ${keyId(key)}`);
+
+  await db.connect();
+  console.log(`✅ Connected to ${db.describe()}`);
+
+  await rotateField(db.students, 'students', 'faceTemplates');
+  await rotateField(db.enrollmentReviews, 'enrollmentReviews', 'proposedTemplates');
+
+  if (process.env.DESCRIPTOR_KEY) {
+    console.log(`⚠️  Set DESCRIPTOR_KEY to the new key (${process.env.NEW_DESCRIPTOR_KEY ? 'NEW_DESCRIPTOR_KEY' : NEW_KEY_FILE}) before restarting the server`);
+    return;
+  }
+
+  fs.renameSync(KEY_FILE, `${KEY_FILE}.old`);
+  fs.writeFileSync(KEY_FILE, `${key.toString('base64')}\n`, { mode: 0o600 });
+  if (fs.existsSync(NEW_KEY_FILE)) fs.unlinkSync(NEW_KEY_FILE);
+  console.log(`✅ ${KEY_FILE} now holds the new key; the old one is in ${KEY_FILE}.old`);
+}
+
+rotate()
+  .catch(err => {
+    console.error('❌ Key rotation failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => db.disconnect());
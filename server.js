@@ -3,117 +3,141 @@ const mongoose = require('mongoose');
 const cors = require('cors');
 const bodyParser = require('body-parser');
 const path = require('path');
+const { isValidDescriptor, templateDistance, matchFace } = require('./matching');
+const db = require('./repository');
+const { USER_ROLES, MAX_FACE_TEMPLATES, LIVENESS_CHALLENGES, ATTENDANCE_STATUSES, COMPLIANCE_ACTIONS } = require('./models');
+const { hashPassword, verifyPassword, issueToken, requireRole, requireAuth, requireStation, generateStationKey, hashStationKey, queryToken } = require('./auth');
+const { TIMEZONE, toDateKey, isDateKey, startOfDay, addDays, formatTime } = require('./dates');
+const { recordAudit } = require('./audit');
+const live = require('./live');
+const { createStorage } = require('./storage');
+const { SNAPSHOT_RETENTION_DAYS, startRetentionJobs } = require('./retention');
+const { recordCompliance, eraseStudent, exportSubjectData } = require('./privacy');
+const { loadKeyRing } = require('./encryption');
+const { getRecognitionSettings, validateRecognitionSettings, updateRecognitionSettings } = require('./settings');
+const { refreshTemplates, rollbackAdaptiveTemplates } = require('./adaptive');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
 
+// How early (in minutes) before an exam starts check-in opens
+const EXAM_CHECKIN_OPENS_MINUTES = parseInt(process.env.EXAM_CHECKIN_OPENS_MINUTES, 10) || 60;
+
+// Minutes after an exam starts before a check-in counts as late
+const LATE_GRACE_MINUTES = parseInt(process.env.LATE_GRACE_MINUTES, 10) || 0;
+
+// Minimum attendance percentage (exam eligibility rule) and default report length
+const ATTENDANCE_THRESHOLD = parseFloat(process.env.ATTENDANCE_THRESHOLD) || 75;
+const REPORT_DEFAULT_DAYS = 30;
+
+// Most faces accepted in one batch verify request
+const MAX_BATCH_FACES = 20;
+
+// What to do when a new face matches another student's: 'reject' the request
+// or 'review' (save it on hold until an admin resolves it)
+const DUPLICATE_FACE_POLICY = process.env.DUPLICATE_FACE_POLICY === 'review' ? 'review' : 'reject';
+
+// How far ahead of the server clock a kiosk's capturedAt may be before it is rejected
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+// Reject check-ins whose kiosk did not report a passed liveness check (set to 'false' to allow)
+const REQUIRE_LIVENESS = process.env.REQUIRE_LIVENESS !== 'false';
+
+// Only registered stations may post check-ins (set to 'false' while kiosks are being set up)
+const REQUIRE_STATION_KEY = process.env.REQUIRE_STATION_KEY !== 'false';
+
+// A station counts as online if its last heartbeat is this recent
+const STATION_ONLINE_MINUTES = 2;
+
+// Largest evidence snapshot (each of the crop and its thumbnail) accepted with a check-in
+const MAX_SNAPSHOT_BYTES = 300 * 1024;
+
+// Where evidence snapshots are kept (STORAGE_BACKEND, see storage.js)
+const snapshotStorage = createStorage();
+
 // Middleware
-app.use(cors());
+app.use(cors({ exposedHeaders: ['Content-Disposition'] }));
 app.use(bodyParser.json({ limit: '50mb' }));
 app.use(bodyParser.urlencoded({ extended: true, limit: '50mb' }));
 
+// Evidence snapshots are only served through the authenticated snapshot route,
+// and accuracy reports (scripts/evaluate-recognition.js) not at all
+app.use(['/storage', '/reports'], (req, res) => res.status(404).end());
+
 // Serve static files (including models folder)
 app.use(express.static(path.join(__dirname)));
 
 // Request logging middleware
 app.use((req, res, next) => {
-  console.log(`📡 ${req.method} ${req.url}`);
+  // The live feed carries its login token in the URL - keep it out of the logs
+  console.log(`📡 ${req.method} ${req.url.replace(/token=[^&]+/, 'token=***')}`);
   next();
 });
 
-// MongoDB Connection
-const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/biometricAttendance';
+// Create the first admin from ADMIN_USERNAME / ADMIN_PASSWORD when there are no users yet
+const ensureAdminUser = async () => {
+  const { ADMIN_USERNAME, ADMIN_PASSWORD } = process.env;
+  if (await db.users.count() > 0) return;
+
+  if (!ADMIN_USERNAME || !ADMIN_PASSWORD) {
+    console.log('⚠️  No user accounts exist. Set ADMIN_USERNAME and ADMIN_PASSWORD to create the first admin');
+    return;
+  }
+
+  const user = await db.users.create({
+    username: ADMIN_USERNAME,
+    name: 'Administrator',
+    role: 'admin',
+    passwordHash: await hashPassword(ADMIN_PASSWORD)
+  });
+  await recordAudit(null, { action: 'user.create', targetType: 'user', targetId: user.username, after: user });
+  console.log('✅ Initial admin account created:', ADMIN_USERNAME);
+};
+
+// Face descriptors are sealed with the descriptor key (see encryption.js); without
+// it every student, verify and template route would fail, so don't start at all
+try {
+  loadKeyRing();
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
+
+// The stored descriptors must open with the keys we have. A sample is enough to
+// catch the usual cause, a lost or replaced key.
+const checkDescriptorKey = async () => {
+  try {
+    await db.students.findOne({ 'faceTemplates.0': { $exists: true } }, { select: 'faceTemplates' });
+    await db.enrollmentReviews.findOne({ 'proposedTemplates.0': { $exists: true } }, { select: 'proposedTemplates' });
+  } catch (error) {
+    console.error(`❌ Stored face descriptors can't be read with descriptor key ${loadKeyRing().currentId}: ${error.message}`);
+    console.log('💡 Restore the key that sealed them (DESCRIPTOR_KEY or the key file), or add it to DESCRIPTOR_OLD_KEYS');
+    process.exit(1);
+  }
+};
 
-mongoose.connect(MONGODB_URI, {})
-.then(() => console.log('✅ MongoDB Connected Successfully'))
+// Database: MongoDB, or JSON files with DATA_BACKEND=file (see repository/)
+db.connect()
+.then(async () => {
+  console.log(`✅ Database connected: ${db.describe()}`);
+  await checkDescriptorKey();
+  startRetentionJobs(snapshotStorage);
+  return ensureAdminUser();
+})
 .catch(err => {
-  console.error('❌ MongoDB Connection Error:', err.message);
-  console.log('\n💡 Quick Fix:');
-  console.log('1. Go to https://cloud.mongodb.com/');
-  console.log('2. Click "Network Access" → "Add IP Address"');
-  console.log('3. Click "Add Current IP Address" or use 0.0.0.0/0 for dev');
-  console.log('4. Wait 1-2 minutes and restart this server\n');
-});
-
-// Student Schema
-const studentSchema = new mongoose.Schema({
-  studentId: {
-    type: String,
-    required: true,
-    unique: true,
-    trim: true,
-    uppercase: true
-  },
-  name: {
-    type: String,
-    required: true,
-    trim: true
-  },
-  course: {
-    type: String,
-    required: true,
-    trim: true
-  },
-  faceDescriptor: {
-    type: [Number],
-    required: true
-  },
-  registeredAt: {
-    type: Date,
-    default: Date.now
-  },
-  isActive: {
-    type: Boolean,
-    default: true
-  }
-}, {
-  timestamps: true
-});
-
-// Attendance Schema
-const attendanceSchema = new mongoose.Schema({
-  studentId: {
-    type: String,
-    required: true,
-    ref: 'Student'
-  },
-  name: {
-    type: String,
-    required: true
-  },
-  course: {
-    type: String,
-    required: true
-  },
-  checkInTime: {
-    type: Date,
-    default: Date.now
-  },
-  date: {
-    type: String,
-    required: true
-  },
-  confidence: {
-    type: Number,
-    min: 0,
-    max: 100
-  }
-}, {
-  timestamps: true
-});
-
-// Create indexes for better query performance
-attendanceSchema.index({ studentId: 1, date: 1 });
-
-const Student = mongoose.model('Student', studentSchema);
-const Attendance = mongoose.model('Attendance', attendanceSchema);
+  console.error('❌ Database Connection Error:', err.message);
+  if (db.name === 'mongo') {
+    console.log('\n💡 Check that MONGODB_URI points at a running MongoDB that allows this machine,');
+    console.log('   or run without one: DATA_BACKEND=file node server.js\n');
+  }
+});
 
 // CSV Helper Function (Add this)
 const jsonToCsv = (data) => {
   if (data.length === 0) return '';
   
-  // Get headers from the first object keys
-  const headers = Object.keys(data[0]);
+  // Get headers from every row's keys (older records may lack newer fields)
+  const headers = [...new Set(data.flatMap(row => Object.keys(row)))];
   
   // Format headers (optional: make them more readable)
   const headerRow = headers.join(',');
@@ -122,13 +146,183 @@ const jsonToCsv = (data) => {
   const dataRows = data.map(row => 
     headers.map(header => {
       // Handle commas in data by wrapping in quotes
-      const value = row[header] === null ? '' : row[header].toString();
+      const cell = row[header];
+      let value = cell == null ? '' : cell.toString();
+      // Nested sub-documents (e.g. liveness) are written as JSON
+      if (cell && cell.constructor === Object) value = JSON.stringify(cell);
       return `"${value.replace(/"/g, '""')}"`;
     }).join(',')
   );
   
   return [headerRow, ...dataRows].join('\n');
 };
+// Parse CSV text into an array of rows (arrays of strings).
+// Handles quoted fields with commas, escaped quotes and line breaks.
+const csvToRows = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Skip blank lines
+  return rows.filter(r => r.some(value => value.trim() !== ''));
+};
+
+// Normalise face samples from a request body into template documents.
+// Accepts faceTemplates: [{ descriptor, detectionScore, capturedAt, note }]
+// or a single legacy faceDescriptor. Returns null if any sample is invalid.
+const parseFaceTemplates = (body, source) => {
+  let samples = [];
+  if (Array.isArray(body.faceTemplates)) {
+    samples = body.faceTemplates;
+  } else if (body.faceDescriptor) {
+    samples = [{ descriptor: body.faceDescriptor }];
+  }
+
+  const templates = [];
+  for (const sample of samples) {
+    if (!sample || !isValidDescriptor(sample.descriptor)) return null;
+
+    const capturedAt = sample.capturedAt ? new Date(sample.capturedAt) : new Date();
+    templates.push({
+      descriptor: sample.descriptor,
+      source,
+      capturedAt: isNaN(capturedAt) ? new Date() : capturedAt,
+      detectionScore: typeof sample.detectionScore === 'number' ? sample.detectionScore : undefined,
+      note: sample.note ? String(sample.note) : undefined
+    });
+  }
+
+  return templates;
+};
+
+// Keep only the known liveness fields from a kiosk report
+const parseLiveness = (liveness) => {
+  if (!liveness || typeof liveness !== 'object') return null;
+
+  return {
+    passed: liveness.passed === true,
+    blinkDetected: liveness.blinkDetected === true,
+    challenge: LIVENESS_CHALLENGES.includes(liveness.challenge) ? liveness.challenge : 'none',
+    challengePassed: liveness.challengePassed === true,
+    durationMs: Number(liveness.durationMs) || 0
+  };
+};
+
+// Other enrolled students whose face is within the match threshold of any new template,
+// closest first. Used to stop one person enrolling under two student IDs.
+const findDuplicateFaces = async (faceTemplates, excludeStudentId) => {
+  const { matchThreshold } = await getRecognitionSettings();
+  const students = await db.students.find({
+    isActive: true,
+    enrollmentStatus: { $nin: ['pending', 'review'] },
+    studentId: { $ne: excludeStudentId }
+  }, { select: 'studentId name faceTemplates.descriptor' });
+
+  const conflicts = [];
+  students.forEach(student => {
+    const distance = Math.min(...faceTemplates.map(t => templateDistance(t.descriptor, student.faceTemplates || [])));
+    if (distance < matchThreshold) {
+      conflicts.push({ studentId: student.studentId, name: student.name, distance: Number(distance.toFixed(4)) });
+    }
+  });
+
+  return conflicts.sort((a, b) => a.distance - b.distance);
+};
+
+// Response body for a face that matched someone else
+const duplicateFaceBody = (conflicts, review) => ({
+  success: !!review,
+  pendingReview: !!review,
+  message: review
+    ? `Face matches existing student ${conflicts[0].studentId} - flagged for admin review`
+    : `Face matches existing student ${conflicts[0].studentId}`,
+  conflictingStudentId: conflicts[0].studentId,
+  conflicts,
+  reviewId: review ? review._id : undefined
+});
+
+// ========== LIST QUERIES ==========
+// Shared by the list routes: ?page=&limit= paging, ?q= search and ?sort=field|-field
+
+const MAX_PAGE_SIZE = 500;
+
+// Out-of-range values are clamped (limit 1..MAX_PAGE_SIZE, page 1 up); missing or
+// non-numeric ones take the defaults
+const parsePaging = (query, defaultLimit = 50) => {
+  const integer = (value, fallback) => {
+    const parsed = parseInt(value, 10);
+    return Number.isFinite(parsed) ? parsed : fallback;
+  };
+  const limit = Math.min(Math.max(1, integer(query.limit, defaultLimit)), MAX_PAGE_SIZE);
+  const page = Math.max(1, integer(query.page, 1));
+  return { limit, page, skip: (page - 1) * limit };
+};
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Case-insensitive "contains" search across fields; {} when there is no search term
+const searchFilter = (q, fields) => {
+  const term = typeof q === 'string' ? q.trim() : '';
+  if (!term) return {};
+  const pattern = new RegExp(escapeRegex(term), 'i');
+  return { $or: fields.map(field => ({ [field]: pattern })) };
+};
+
+// Mongo sort for ?sort=field or -field (descending), limited to the allowed fields;
+// the default when none is given, null if the field isn't allowed
+const parseSort = (sort, allowed, fallback) => {
+  if (!sort) return fallback;
+  const field = String(sort).replace(/^-/, '');
+  if (!allowed.includes(field)) return null;
+  return { [field]: String(sort).startsWith('-') ? -1 : 1, _id: 1 };
+};
+
+// { success, count, total, page, limit, pages, data } - the shape every paged list returns
+const pagedBody = (data, total, { page, limit }, extra = {}) => ({
+  success: true,
+  ...extra,
+  count: data.length,
+  total,
+  page,
+  limit,
+  pages: Math.ceil(total / limit),
+  data
+});
+
 // ==================== API ROUTES ====================
 
 // API root endpoint
@@ -137,23 +331,74 @@ app.get('/api', (req, res) => {
     message: 'Biometric Attendance System API',
     version: '1.0.0',
     status: 'running',
-    mongodb: mongoose.connection.readyState === 1 ? 'connected' : 'disconnected',
+    timezone: TIMEZONE,
+    database: { backend: db.name, connected: db.isConnected() },
     endpoints: {
       health: 'GET /api/health',
+      auth: {
+        login: 'POST /api/auth/login',
+        me: 'GET /api/auth/me'
+      },
+      users: {
+        list: 'GET /api/users',
+        create: 'POST /api/users',
+        update: 'PUT /api/users/:userId'
+      },
       students: {
-        list: 'GET /api/students',
+        list: 'GET /api/students?q=&course=&status=&enrollment=&registeredFrom=&registeredTo=&sort=&page=&limit=',
         register: 'POST /api/students/register',
-        descriptors: 'GET /api/students/descriptors',
+        import: 'POST /api/students/import',
         getOne: 'GET /api/students/:studentId',
         update: 'PUT /api/students/:studentId',
-        delete: 'DELETE /api/students/:studentId'
+        addTemplates: 'POST /api/students/:studentId/templates',
+        rollbackTemplates: 'POST /api/students/:studentId/templates/rollback',
+        descriptors: 'GET /api/students/descriptors',
+        delete: 'DELETE /api/students/:studentId',
+        erase: 'POST /api/students/:studentId/erase',
+        export: 'GET /api/students/:studentId/export'
+      },
+      exams: {
+        list: 'GET /api/exams',
+        create: 'POST /api/exams',
+        getOne: 'GET /api/exams/:examId',
+        update: 'PUT /api/exams/:examId',
+        delete: 'DELETE /api/exams/:examId'
+      },
+      stations: {
+        list: 'GET /api/stations',
+        create: 'POST /api/stations',
+        update: 'PUT /api/stations/:stationId',
+        rotateKey: 'POST /api/stations/:stationId/rotate-key',
+        revoke: 'DELETE /api/stations/:stationId',
+        heartbeat: 'POST /api/stations/heartbeat (X-Station-Key)'
       },
       attendance: {
         today: 'GET /api/attendance/today',
-        checkin: 'POST /api/attendance/checkin',
-        byDate: 'GET /api/attendance/date/:date',
-        byStudent: 'GET /api/attendance/student/:studentId',
-        stats: 'GET /api/attendance/stats'
+        verify: 'POST /api/attendance/verify',
+        verifyBatch: 'POST /api/attendance/verify-batch',
+        checkout: 'POST /api/attendance/checkout',
+        manual: 'POST /api/attendance/manual',
+        inRoom: 'GET /api/attendance/in-room?examId=',
+        snapshot: 'GET /api/attendance/:attendanceId/snapshot?size=thumb',
+        byDate: 'GET /api/attendance/date/:date?q=&status=&course=&examId=&method=&sort=&page=&limit=',
+        byStudent: 'GET /api/attendance/student/:studentId?from=&to=&status=&examId=&sort=&page=&limit=',
+        stats: 'GET /api/attendance/stats',
+        report: 'GET /api/attendance/report?from=&to=&course=&threshold='
+      },
+      live: {
+        events: 'GET /api/events (text/event-stream)',
+        summary: 'GET /api/attendance/live-summary'
+      },
+      audit: 'GET /api/audit?actor=&action=&targetType=&targetId=&from=&to=&page=&limit=',
+      compliance: 'GET /api/compliance?action=&subjectId=&page=&limit=',
+      settings: {
+        recognition: 'GET /api/settings/recognition',
+        updateRecognition: 'PUT /api/settings/recognition'
+      },
+      admin: {
+        enrollmentReviews: 'GET /api/admin/enrollment-reviews',
+        resolveReview: 'POST /api/admin/enrollment-reviews/:reviewId/resolve',
+        clearAll: 'DELETE /api/admin/clear-all'
       }
     }
   });
@@ -165,7 +410,8 @@ app.get('/api/health', (req, res) => {
     status: 'ok', 
     message: 'Biometric Attendance API is running',
     timestamp: new Date().toISOString(),
-    mongodb: mongoose.connection.readyState === 1 ? 'connected' : 'disconnected'
+    timezone: TIMEZONE,
+    database: { backend: db.name, connected: db.isConnected() }
   });
 });
 
@@ -183,413 +429,2571 @@ app.get('/', (req, res) => {
   });
 });
 
-// ========== STUDENT ROUTES ==========
+// ========== AUTH ROUTES ==========
 
-// Register a new student
-app.post('/api/students/register', async (req, res) => {
+// Log in and receive a bearer token
+app.post('/api/auth/login', async (req, res) => {
   try {
-    console.log('📝 Registration request received');
-    const { studentId, name, course, faceDescriptor } = req.body;
+    const { username, password } = req.body;
 
-    // Validation
-    if (!studentId || !name || !course || !faceDescriptor) {
-      console.log('❌ Missing required fields');
+    if (!username || !password) {
       return res.status(400).json({ 
         success: false, 
-        message: 'All fields are required (studentId, name, course, faceDescriptor)' 
+        message: 'Username and password are required' 
       });
     }
 
-    if (!Array.isArray(faceDescriptor) || faceDescriptor.length !== 128) {
-      console.log('❌ Invalid face descriptor length:', faceDescriptor.length);
-      return res.status(400).json({ 
-        success: false, 
-        message: 'Invalid face descriptor. Must be an array of 128 numbers' 
-      });
-    }
+    const user = await db.users.findOne({ username: String(username).toLowerCase().trim() });
+    const valid = user && user.isActive && await verifyPassword(String(password), user.passwordHash);
 
-    // Check if student already exists
-    const existingStudent = await Student.findOne({ studentId: studentId.toUpperCase() });
-    if (existingStudent) {
-      console.log('❌ Student ID already exists:', studentId);
-      return res.status(409).json({ 
+    if (!valid) {
+      console.log('❌ Failed login:', username);
+      await recordAudit(req, { action: 'auth.loginFailed', targetType: 'user', targetId: String(username).toLowerCase().trim() });
+      return res.status(401).json({ 
         success: false, 
-        message: 'Student ID already registered' 
+        message: 'Invalid username or password' 
       });
     }
 
-    // Create new student
-    const student = new Student({
-      studentId: studentId.toUpperCase(),
-      name: name.trim(),
-      course: course.trim(),
-      faceDescriptor
-    });
-
-    await student.save();
-    console.log('✅ Student registered:', studentId);
+    await db.users.update({ _id: user._id }, { lastLoginAt: new Date() });
+    req.user = user;
+    await recordAudit(req, { action: 'auth.login', targetType: 'user', targetId: user.username });
+    console.log(`✅ Login: ${user.username} (${user.role})`);
 
-    res.status(201).json({ 
+    res.json({ 
       success: true, 
-      message: 'Student registered successfully',
+      message: 'Logged in successfully',
+      token: issueToken(user),
       data: {
-        studentId: student.studentId,
-        name: student.name,
-        course: student.course,
-        registeredAt: student.registeredAt
+        username: user.username,
+        name: user.name,
+        role: user.role
       }
     });
 
   } catch (error) {
-    console.error('❌ Registration error:', error);
+    console.error('❌ Login error:', error);
     res.status(500).json({ 
       success: false, 
-      message: 'Error registering student',
+      message: 'Error logging in',
       error: error.message 
     });
   }
 });
 
-// Get all students
-app.get('/api/students', async (req, res) => {
-  try {
-    const students = await Student.find({ isActive: true })
-      .select('-faceDescriptor -__v')
-      .sort({ name: 1 });
+// Current user (used by the UI to restore a session)
+app.get('/api/auth/me', requireAuth, (req, res) => {
+  res.json({ 
+    success: true, 
+    data: {
+      username: req.user.username,
+      name: req.user.name,
+      role: req.user.role
+    }
+  });
+});
 
-    console.log(`✅ Retrieved ${students.length} students`);
+// ========== USER ROUTES ==========
+
+// List staff accounts
+app.get('/api/users', requireRole('admin'), async (req, res) => {
+  try {
+    const users = await db.users.find({}, { select: '-passwordHash', sort: { username: 1 } });
 
     res.json({ 
       success: true, 
-      count: students.length,
-      data: students 
+      count: users.length,
+      data: users 
     });
 
   } catch (error) {
-    console.error('❌ Fetch students error:', error);
+    console.error('❌ Fetch users error:', error);
     res.status(500).json({ 
       success: false, 
-      message: 'Error fetching students',
+      message: 'Error fetching users',
       error: error.message 
     });
   }
 });
 
-// Get students with face descriptors (for face recognition)
-app.get('/api/students/descriptors', async (req, res) => {
+// Create a staff account
+app.post('/api/users', requireRole('admin'), async (req, res) => {
   try {
-    const students = await Student.find({ isActive: true })
-      .select('studentId name course faceDescriptor')
-      .sort({ name: 1 });
-
-    console.log(`✅ Retrieved ${students.length} student descriptors`);
+    const { username, password, name, role } = req.body;
 
-    res.json({ 
-      success: true, 
-      count: students.length,
-      data: students.map(s => ({
-        id: s.studentId,
-        name: s.name,
-        course: s.course,
-        faceData: s.faceDescriptor
-      }))
-    });
+    if (!username || !password || !role) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'All fields are required (username, password, role)' 
+      });
+    }
 
-  } catch (error) {
-    console.error('❌ Fetch descriptors error:', error);
-    res.status(500).json({ 
-      success: false, 
-      message: 'Error fetching student descriptors',
-      error: error.message 
-    });
-  }
-});
+    if (!USER_ROLES.includes(role)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: `Role must be one of: ${USER_ROLES.join(', ')}` 
+      });
+    }
 
-// Get single student by ID
-app.get('/api/students/:studentId', async (req, res) => {
-  try {
-    const student = await Student.findOne({ 
-      studentId: req.params.studentId.toUpperCase() 
-    }).select('-faceDescriptor -__v');
+    if (String(password).length < 8) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Password must be at least 8 characters' 
+      });
+    }
 
-    if (!student) {
-      return res.status(404).json({ 
+    const existingUser = await db.users.findOne({ username: String(username).toLowerCase().trim() });
+    if (existingUser) {
+      return res.status(409).json({ 
         success: false, 
-        message: 'Student not found' 
+        message: 'Username already taken' 
       });
     }
 
-    res.json({ 
+    const user = await db.users.create({
+      username,
+      name,
+      role,
+      passwordHash: await hashPassword(String(password))
+    });
+
+    await recordAudit(req, { action: 'user.create', targetType: 'user', targetId: user.username, after: user });
+    console.log(`✅ User created: ${user.username} (${user.role})`);
+
+    res.status(201).json({ 
       success: true, 
-      data: student 
+      message: 'User created successfully',
+      data: {
+        _id: user._id,
+        username: user.username,
+        name: user.name,
+        role: user.role
+      }
     });
 
   } catch (error) {
-    console.error('❌ Fetch student error:', error);
+    console.error('❌ Create user error:', error);
     res.status(500).json({ 
       success: false, 
-      message: 'Error fetching student',
+      message: 'Error creating user',
       error: error.message 
     });
   }
 });
 
-// Update student
-app.put('/api/students/:studentId', async (req, res) => {
+// Update a staff account (name, role, password, active flag)
+app.put('/api/users/:userId', requireRole('admin'), async (req, res) => {
   try {
-    const { name, course, faceDescriptor } = req.body;
+    if (!mongoose.isValidObjectId(req.params.userId)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Invalid user ID' 
+      });
+    }
+
+    const { name, role, password, isActive } = req.body;
     const updateData = {};
 
-    if (name) updateData.name = name.trim();
-    if (course) updateData.course = course.trim();
-    if (faceDescriptor) {
-      if (!Array.isArray(faceDescriptor) || faceDescriptor.length !== 128) {
+    if (name !== undefined) updateData.name = name;
+    if (role !== undefined) {
+      if (!USER_ROLES.includes(role)) {
         return res.status(400).json({ 
           success: false, 
-          message: 'Invalid face descriptor' 
+          message: `Role must be one of: ${USER_ROLES.join(', ')}` 
         });
       }
-      updateData.faceDescriptor = faceDescriptor;
+      updateData.role = role;
     }
+    if (password !== undefined) {
+      if (String(password).length < 8) {
+        return res.status(400).json({ 
+          success: false, 
+          message: 'Password must be at least 8 characters' 
+        });
+      }
+      updateData.passwordHash = await hashPassword(String(password));
+    }
+    if (typeof isActive === 'boolean') updateData.isActive = isActive;
 
-    const student = await Student.findOneAndUpdate(
-      { studentId: req.params.studentId.toUpperCase() },
-      updateData,
-      { new: true }
-    ).select('-faceDescriptor -__v');
-
-    if (!student) {
-      return res.status(404).json({ 
+    // Stop admins from locking themselves out
+    if (req.params.userId === req.user._id.toString() && (updateData.isActive === false || (updateData.role && updateData.role !== 'admin'))) {
+      return res.status(400).json({ 
         success: false, 
-        message: 'Student not found' 
+        message: 'You cannot disable or demote your own account' 
       });
     }
 
-    console.log('✅ Student updated:', req.params.studentId);
-
-    res.json({ 
-      success: true, 
-      message: 'Student updated successfully',
-      data: student 
-    });
-
-  } catch (error) {
-    console.error('❌ Update student error:', error);
-    res.status(500).json({ 
-      success: false, 
-      message: 'Error updating student',
-      error: error.message 
-    });
-  }
-});
-
-// Delete student (soft delete)
-app.delete('/api/students/:studentId', async (req, res) => {
-  try {
-    const student = await Student.findOneAndUpdate(
-      { studentId: req.params.studentId.toUpperCase() },
-      { isActive: false },
-      { new: true }
-    );
+    const before = await db.users.findById(req.params.userId);
+    const user = await db.users.update({ _id: req.params.userId }, updateData, { select: '-passwordHash' });
 
-    if (!student) {
+    if (!user) {
       return res.status(404).json({ 
         success: false, 
-        message: 'Student not found' 
+        message: 'User not found' 
       });
     }
 
-    console.log('✅ Student deleted:', req.params.studentId);
+    // The new hash is only noted as changed, never stored
+    await recordAudit(req, {
+      action: 'user.update',
+      targetType: 'user',
+      targetId: user.username,
+      before: { ...before, passwordHash: undefined },
+      after: { ...user, passwordHash: updateData.passwordHash ? 'changed' : undefined }
+    });
+
+    console.log('✅ User updated:', user.username);
 
     res.json({ 
       success: true, 
-      message: 'Student deleted successfully' 
+      message: 'User updated successfully',
+      data: user 
     });
 
   } catch (error) {
-    console.error('❌ Delete student error:', error);
+    console.error('❌ Update user error:', error);
     res.status(500).json({ 
       success: false, 
-      message: 'Error deleting student',
+      message: 'Error updating user',
       error: error.message 
     });
   }
 });
 
-// ========== ATTENDANCE ROUTES ==========
+// ========== STUDENT ROUTES ==========
 
-// Mark attendance
-app.post('/api/attendance/checkin', async (req, res) => {
+// Register a new student
+app.post('/api/students/register', requireRole('admin', 'registrar'), async (req, res) => {
   try {
-    console.log('✅ Check-in request received');
-    const { studentId, name, course, confidence } = req.body;
-    const today = new Date().toLocaleDateString();
+    console.log('📝 Registration request received');
+    const { studentId, name, course } = req.body;
+    const faceTemplates = parseFaceTemplates(req.body, 'registration');
 
     // Validation
-    if (!studentId || !name || !course) {
-      console.log('❌ Missing student information');
+    if (!studentId || !name || !course || (faceTemplates && faceTemplates.length === 0)) {
+      console.log('❌ Missing required fields');
       return res.status(400).json({ 
         success: false, 
-        message: 'Student information is required' 
+        message: 'All fields are required (studentId, name, course, faceTemplates)' 
       });
     }
 
-    // Check if already checked in today
-    const existingAttendance = await Attendance.findOne({ 
-      studentId: studentId.toUpperCase(), 
-      date: today 
-    });
+    if (!faceTemplates) {
+      console.log('❌ Invalid face template in registration');
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Invalid face template. Each descriptor must be an array of 128 numbers' 
+      });
+    }
 
-    if (existingAttendance) {
-      console.log('⚠️  Student already checked in:', studentId);
+    if (faceTemplates.length > MAX_FACE_TEMPLATES) {
+      return res.status(400).json({ 
+        success: false, 
+        message: `Too many face templates (maximum ${MAX_FACE_TEMPLATES})` 
+      });
+    }
+
+    // Check if student already exists
+    const existingStudent = await db.students.findOne({ studentId: studentId.toUpperCase() });
+    if (existingStudent) {
+      console.log('❌ Student ID already exists:', studentId);
       return res.status(409).json({ 
         success: false, 
-        message: 'Student already checked in today',
-        data: existingAttendance
+        message: existingStudent.enrollmentStatus === 'pending'
+          ? 'Student ID is pending enrollment - pick them from the pending list to capture their face'
+          : 'Student ID already registered' 
+      });
+    }
+
+    // The same face must not already belong to another student
+    const conflicts = await findDuplicateFaces(faceTemplates, studentId.toUpperCase());
+    if (conflicts.length > 0) {
+      console.log('❌ Duplicate face at registration:', studentId, '→', conflicts[0].studentId);
+
+      if (DUPLICATE_FACE_POLICY === 'reject') {
+        return res.status(409).json(duplicateFaceBody(conflicts));
+      }
+
+      // Create the student on hold - the face is only applied if an admin approves
+      await db.students.create({
+        studentId: studentId.toUpperCase(),
+        name: name.trim(),
+        course: course.trim(),
+        enrollmentStatus: 'review',
+        faceTemplates: []
+      });
+      const review = await db.enrollmentReviews.create({
+        studentId,
+        action: 'register',
+        proposedTemplates: faceTemplates,
+        previousStatus: 'pending',
+        conflicts,
+        requestedBy: req.user.username
       });
+
+      await recordAudit(req, {
+        action: 'student.register',
+        targetType: 'student',
+        targetId: studentId.toUpperCase(),
+        after: { studentId: studentId.toUpperCase(), name: name.trim(), course: course.trim(), enrollmentStatus: 'review', proposedTemplates: faceTemplates },
+        details: { reviewId: review._id, conflicts: conflicts.map(c => c.studentId) }
+      });
+
+      return res.status(202).json(duplicateFaceBody(conflicts, review));
     }
 
-    // Create attendance record
-    const attendance = new Attendance({
+    // Create new student
+    const student = await db.students.create({
       studentId: studentId.toUpperCase(),
       name: name.trim(),
       course: course.trim(),
-      date: today,
-      confidence: confidence || null
+      faceTemplates
     });
 
-    await attendance.save();
-    console.log('✅ Attendance marked:', studentId);
+    await recordAudit(req, { action: 'student.register', targetType: 'student', targetId: student.studentId, after: student });
+    console.log(`✅ Student registered: ${studentId} (${faceTemplates.length} templates)`);
 
     res.status(201).json({ 
       success: true, 
-      message: 'Attendance marked successfully',
-      data: attendance
+      message: 'Student registered successfully',
+      data: {
+        studentId: student.studentId,
+        name: student.name,
+        course: student.course,
+        templateCount: student.faceTemplates.length,
+        registeredAt: student.registeredAt
+      }
     });
 
   } catch (error) {
-    console.error('❌ Check-in error:', error);
+    console.error('❌ Registration error:', error);
     res.status(500).json({ 
       success: false, 
-      message: 'Error marking attendance',
+      message: 'Error registering student',
       error: error.message 
     });
   }
 });
 
-// Get today's attendance
-app.get('/api/attendance/today', async (req, res) => {
+// Import a student roster from CSV (columns: studentId, name, course).
+// New students are created as "pending enrollment" with no face; existing
+// students get their name and course updated. Bad rows are reported, not fatal.
+app.post('/api/students/import', requireRole('admin', 'registrar'), bodyParser.text({ type: 'text/csv', limit: '5mb' }), async (req, res) => {
   try {
-    const today = new Date().toLocaleDateString();
-    
-    const attendanceRecords = await Attendance.find({ date: today })
-      // Use .lean() for faster retrieval if you don't need Mongoose setters/getters
-      .lean() 
-      .sort({ checkInTime: -1 });
+    const csv = typeof req.body === 'string' ? req.body : req.body.csv;
 
-    console.log(`✅ Retrieved ${attendanceRecords.length} attendance records for today`);
-
-    // === START OF CSV LOGIC ===
-    if (req.query.format === 'csv') {
-      const csvData = jsonToCsv(attendanceRecords);
-      
-      res.header('Content-Type', 'text/csv');
-      // This header forces a download prompt and sets the filename
-      res.attachment(`attendance_${today.replace(/\//g, '-')}.csv`); 
-      
-      return res.send(csvData);
+    if (!csv || typeof csv !== 'string') {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Send the roster as text/csv or as JSON { csv }' 
+      });
+    }
+
+    const rows = csvToRows(csv.replace(/^\uFEFF/, ''));
+    if (rows.length < 2) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'The CSV needs a header row and at least one student' 
+      });
+    }
+
+    // Header names are matched loosely: "Student ID", "student_id" and "studentId" all work
+    const normalise = (header) => header.toLowerCase().replace(/[^a-z]/g, '');
+    const headers = rows[0].map(normalise);
+    const columns = {
+      studentId: headers.indexOf('studentid'),
+      name: headers.indexOf('name'),
+      course: headers.indexOf('course')
+    };
+
+    const missing = Object.keys(columns).filter(key => columns[key] === -1);
+    if (missing.length > 0) {
+      return res.status(400).json({ 
+        success: false, 
+        message: `Missing CSV columns: ${missing.join(', ')}` 
+      });
+    }
+
+    const errors = [];
+    const seen = new Set();
+    const operations = [];
+
+    rows.slice(1).forEach((row, index) => {
+      const rowNumber = index + 2; // 1-based, counting the header
+      const studentId = (row[columns.studentId] || '').trim().toUpperCase();
+      const name = (row[columns.name] || '').trim();
+      const course = (row[columns.course] || '').trim();
+
+      if (!studentId || !name || !course) {
+        errors.push({ row: rowNumber, studentId, message: 'studentId, name and course are all required' });
+        return;
+      }
+
+      if (seen.has(studentId)) {
+        errors.push({ row: rowNumber, studentId, message: 'Duplicate studentId in this file' });
+        return;
+      }
+      seen.add(studentId);
+
+      operations.push({
+        filter: { studentId },
+        update: {
+          $set: { name, course },
+          $setOnInsert: { enrollmentStatus: 'pending', faceTemplates: [], isActive: true, registeredAt: new Date() }
+        }
+      });
+    });
+
+    const result = operations.length > 0
+      ? await db.students.bulkUpsert(operations)
+      : { upsertedCount: 0, matchedCount: 0, modifiedCount: 0 };
+
+    await recordAudit(req, {
+      action: 'student.import',
+      targetType: 'student',
+      details: {
+        rows: rows.length - 1,
+        created: result.upsertedCount,
+        updated: result.modifiedCount,
+        rejected: errors.length,
+        studentIds: operations.map(op => op.filter.studentId)
+      }
+    });
+
+    console.log(`✅ Roster import: ${result.upsertedCount} new, ${result.matchedCount} existing, ${errors.length} errors`);
+
+    res.json({ 
+      success: errors.length === 0,
+      message: errors.length === 0
+        ? 'Roster imported successfully'
+        : `Roster imported with ${errors.length} rejected rows`,
+      data: {
+        rows: rows.length - 1,
+        created: result.upsertedCount,
+        updated: result.modifiedCount,
+        unchanged: result.matchedCount - result.modifiedCount,
+        errors
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Roster import error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Error importing roster',
+      error: error.message 
+    });
+  }
+});
+
+// Get students
+// Filters: q (name or ID), course, status (active|inactive|all, default active),
+// enrollment (pending|review|enrolled), registeredFrom/registeredTo (YYYY-MM-DD).
+// sort: name, studentId, course or registeredAt (prefix - for descending). Paged.
+app.get('/api/students', requireRole('admin', 'registrar'), async (req, res) => {
+  try {
+    const { q, course, status = 'active', enrollment, registeredFrom, registeredTo } = req.query;
+    const paging = parsePaging(req.query);
+    const sort = parseSort(req.query.sort, ['name', 'studentId', 'course', 'registeredAt'], { name: 1, _id: 1 });
+
+    if (!sort) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Invalid sort. Use name, studentId, course or registeredAt (prefix - for descending)' 
+      });
+    }
+
+    if (!['active', 'inactive', 'all'].includes(status)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Invalid status. Use active, inactive or all' 
+      });
+    }
+
+    if ((registeredFrom && !isDateKey(registeredFrom)) || (registeredTo && !isDateKey(registeredTo))) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Invalid registration range. Use registeredFrom/registeredTo as YYYY-MM-DD' 
+      });
+    }
+
+    const query = searchFilter(q, ['name', 'studentId']);
+    if (status !== 'all') query.isActive = status === 'active';
+    if (['pending', 'review', 'enrolled'].includes(enrollment)) query.enrollmentStatus = enrollment;
+    if (course) query.course = new RegExp(`^${escapeRegex(String(course).trim())}$`, 'i');
+    if (registeredFrom || registeredTo) {
+      query.registeredAt = {};
+      if (registeredFrom) query.registeredAt.$gte = startOfDay(registeredFrom);
+      if (registeredTo) query.registeredAt.$lt = startOfDay(addDays(registeredTo, 1));
+    }
+
+    const [students, total] = await Promise.all([
+      db.students.find(query, { select: '-faceTemplates', sort, skip: paging.skip, limit: paging.limit }),
+      db.students.count(query)
+    ]);
+
+    console.log(`✅ Retrieved ${students.length} of ${total} students`);
+
+    res.json(pagedBody(students, total, paging));
+
+  } catch (error) {
+    console.error('❌ Fetch students error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Error fetching students',
+      error: error.message 
+    });
+  }
+});
+
+// Face templates for kiosk offline matching. Only check-in staff can download them.
+// They are encrypted at rest only - the model layer hands them back decrypted.
+app.get('/api/students/descriptors', requireRole('admin', 'invigilator'), async (req, res) => {
+  try {
+    const students = await db.students.find(
+      { isActive: true, enrollmentStatus: { $nin: ['pending', 'review'] } },
+      { select: 'studentId name course faceTemplates.descriptor' }
+    );
+
+    console.log(`✅ Retrieved ${students.length} student descriptors for ${req.user.username}`);
+
+    res.json({ 
+      success: true, 
+      count: students.length,
+      data: students.map(s => ({
+        id: s.studentId,
+        name: s.name,
+        course: s.course,
+        faceTemplates: s.faceTemplates.map(t => ({ descriptor: t.descriptor }))
+      }))
+    });
+
+  } catch (error) {
+    console.error('❌ Fetch descriptors error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Error fetching student descriptors',
+      error: error.message 
+    });
+  }
+});
+
+// Get single student by ID
+app.get('/api/students/:studentId', requireRole('admin', 'registrar'), async (req, res) => {
+  try {
+    // Template metadata (source, capturedAt...) without the descriptors
+    const student = await db.students.findOne(
+      { studentId: req.params.studentId.toUpperCase() },
+      { select: '-faceTemplates.descriptor' }
+    );
+
+    if (!student) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Student not found' 
+      });
+    }
+
+    res.json({ 
+      success: true, 
+      data: student 
+    });
+
+  } catch (error) {
+    console.error('❌ Fetch student error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Error fetching student',
+      error: error.message 
+    });
+  }
+});
+
+// Update student
+app.put('/api/students/:studentId', requireRole('admin', 'registrar'), async (req, res) => {
+  try {
+    const { name, course, faceTemplates: samples, faceDescriptor, graduatedAt } = req.body;
+    const studentId = req.params.studentId.toUpperCase();
+    const updateData = {};
+
+    if (name) updateData.name = name.trim();
+    if (course) updateData.course = course.trim();
+
+    // Starts the template retention clock (see retention.js); null clears it
+    if (graduatedAt !== undefined) {
+      const graduated = graduatedAt ? new Date(graduatedAt) : null;
+      if (graduated && isNaN(graduated)) {
+        return res.status(400).json({ 
+          success: false, 
+          message: 'Invalid graduatedAt date' 
+        });
+      }
+      updateData.graduatedAt = graduated;
+    }
+
+    // Supplying face samples replaces the student's whole template set
+    let conflicts = [];
+    let review = null;
+
+    if (samples || faceDescriptor) {
+      const faceTemplates = parseFaceTemplates(req.body, 'enrollment');
+      if (!faceTemplates || faceTemplates.length === 0 || faceTemplates.length > MAX_FACE_TEMPLATES) {
+        return res.status(400).json({ 
+          success: false, 
+          message: 'Invalid face templates' 
+        });
+      }
+
+      const current = await db.students.findOne({ studentId }, { select: 'enrollmentStatus' });
+      if (!current) {
+        return res.status(404).json({ 
+          success: false, 
+          message: 'Student not found' 
+        });
+      }
+
+      if (current.enrollmentStatus === 'review') {
+        return res.status(409).json({ 
+          success: false, 
+          message: 'This student\'s enrollment is awaiting admin review' 
+        });
+      }
+
+      conflicts = await findDuplicateFaces(faceTemplates, studentId);
+      if (conflicts.length === 0) {
+        updateData.faceTemplates = faceTemplates;
+      } else {
+        console.log('❌ Duplicate face on update:', studentId, '→', conflicts[0].studentId);
+
+        if (DUPLICATE_FACE_POLICY === 'reject') {
+          return res.status(409).json(duplicateFaceBody(conflicts));
+        }
+
+        // Other changes still apply; the new face waits for an admin
+        review = await db.enrollmentReviews.create({
+          studentId,
+          action: 'update',
+          proposedTemplates: faceTemplates,
+          previousStatus: current.enrollmentStatus,
+          conflicts,
+          requestedBy: req.user.username
+        });
+      }
+    }
+
+    const before = await db.students.findOne({ studentId });
+    const updated = await db.students.update({ studentId }, updateData);
+
+    if (!updated) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Student not found' 
+      });
+    }
+
+    await recordAudit(req, {
+      action: 'student.update',
+      targetType: 'student',
+      targetId: studentId,
+      before,
+      after: updated,
+      details: review ? { reviewId: review._id, conflicts: conflicts.map(c => c.studentId) } : undefined
+    });
+
+    const { faceTemplates, ...student } = updated;
+
+    if (review) {
+      return res.status(202).json({ ...duplicateFaceBody(conflicts, review), data: student });
+    }
+
+    console.log('✅ Student updated:', req.params.studentId);
+
+    res.json({ 
+      success: true, 
+      message: 'Student updated successfully',
+      data: student 
+    });
+
+  } catch (error) {
+    console.error('❌ Update student error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Error updating student',
+      error: error.message 
+    });
+  }
+});
+
+// Add more face templates to an existing student
+app.post('/api/students/:studentId/templates', requireRole('admin', 'registrar'), async (req, res) => {
+  try {
+    const faceTemplates = parseFaceTemplates(req.body, 'enrollment');
+
+    if (!faceTemplates || faceTemplates.length === 0) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Invalid face templates. Each descriptor must be an array of 128 numbers' 
+      });
+    }
+
+    const student = await db.students.findOne({ 
+      studentId: req.params.studentId.toUpperCase(),
+      isActive: true
+    });
+
+    if (!student) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Student not found' 
+      });
+    }
+
+    if (student.enrollmentStatus === 'review') {
+      return res.status(409).json({ 
+        success: false, 
+        message: 'This student\'s enrollment is awaiting admin review' 
+      });
+    }
+
+    if (student.faceTemplates.length + faceTemplates.length > MAX_FACE_TEMPLATES) {
+      return res.status(400).json({ 
+        success: false, 
+        message: `Student already has ${student.faceTemplates.length} templates (maximum ${MAX_FACE_TEMPLATES})` 
+      });
+    }
+
+    const conflicts = await findDuplicateFaces(faceTemplates, student.studentId);
+    if (conflicts.length > 0) {
+      console.log('❌ Duplicate face on new templates:', student.studentId, '→', conflicts[0].studentId);
+
+      if (DUPLICATE_FACE_POLICY === 'reject') {
+        return res.status(409).json(duplicateFaceBody(conflicts));
+      }
+
+      const review = await db.enrollmentReviews.create({
+        studentId: student.studentId,
+        action: 'addTemplates',
+        proposedTemplates: faceTemplates,
+        previousStatus: student.enrollmentStatus,
+        conflicts,
+        requestedBy: req.user.username
+      });
+
+      // A roster student stays unable to check in until the review is resolved
+      const after = student.enrollmentStatus === 'pending'
+        ? await db.students.update({ _id: student._id }, { enrollmentStatus: 'review' })
+        : student;
+
+      await recordAudit(req, {
+        action: 'student.addTemplates',
+        targetType: 'student',
+        targetId: student.studentId,
+        before: student,
+        after: { ...after, proposedTemplates: faceTemplates },
+        details: { reviewId: review._id, conflicts: conflicts.map(c => c.studentId) }
+      });
+
+      return res.status(202).json(duplicateFaceBody(conflicts, review));
+    }
+
+    // Capturing the first face of a roster-imported student completes their enrollment
+    const wasPending = student.enrollmentStatus === 'pending';
+    const update = { $push: { faceTemplates: { $each: faceTemplates } }, $set: { enrollmentStatus: 'enrolled' } };
+    if (wasPending) update.$set.registeredAt = new Date();
+    const updated = await db.students.update({ _id: student._id }, update);
+
+    await recordAudit(req, { action: 'student.addTemplates', targetType: 'student', targetId: student.studentId, before: student, after: updated });
+
+    console.log(`✅ Added ${faceTemplates.length} templates for:`, student.studentId, wasPending ? '(enrolled)' : '');
+
+    res.status(201).json({ 
+      success: true, 
+      message: 'Face templates added successfully',
+      data: {
+        studentId: updated.studentId,
+        enrollmentStatus: updated.enrollmentStatus,
+        templateCount: updated.faceTemplates.length
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Add templates error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Error adding face templates',
+      error: error.message 
+    });
+  }
+});
+
+// Undo adaptive template refresh: remove the student's adaptive templates,
+// or only those captured since a date. Body: { since } (optional ISO date).
+app.post('/api/students/:studentId/templates/rollback', requireRole('admin'), async (req, res) => {
+  try {
+    const since = req.body.since ? new Date(req.body.since) : null;
+
+    if (since && isNaN(since)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Invalid since date' 
+      });
+    }
+
+    const result = await rollbackAdaptiveTemplates(req.params.studentId.toUpperCase(), since);
+
+    if (!result) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Student not found' 
+      });
+    }
+
+    if (result.removed > 0) {
+      await recordAudit(req, {
+        action: 'student.rollbackTemplates',
+        targetType: 'student',
+        targetId: result.student.studentId,
+        before: result.before,
+        after: result.student,
+        details: { removed: result.removed, since: since || undefined }
+      });
+    }
+
+    console.log(`✅ Removed ${result.removed} adaptive templates for:`, result.student.studentId);
+
+    res.json({ 
+      success: true, 
+      message: result.removed > 0 ? `Removed ${result.removed} adaptive templates` : 'No adaptive templates to remove',
+      removed: result.removed,
+      templateCount: result.student.faceTemplates.length
+    });
+
+  } catch (error) {
+    console.error('❌ Rollback templates error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Error rolling back templates',
+      error: error.message 
+    });
+  }
+});
+
+// Delete student (soft delete)
+app.delete('/api/students/:studentId', requireRole('admin'), async (req, res) => {
+  try {
+    const before = await db.students.findOne({ studentId: req.params.studentId.toUpperCase() });
+
+    if (!before) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Student not found' 
+      });
+    }
+
+    await db.students.update({ _id: before._id }, { isActive: false, deactivatedAt: new Date() });
+
+    await recordAudit(req, {
+      action: 'student.delete',
+      targetType: 'student',
+      targetId: before.studentId,
+      before: { isActive: before.isActive },
+      after: { isActive: false }
+    });
+
+    console.log('✅ Student deleted:', req.params.studentId);
+
+    res.json({ 
+      success: true, 
+      message: 'Student deleted successfully' 
+    });
+
+  } catch (error) {
+    console.error('❌ Delete student error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Error deleting student',
+      error: error.message 
+    });
+  }
+});
+
+// ========== EXAM ROUTES ==========
+
+// Check-in window for an exam session: opens a little before the start, closes at the end
+const examCheckInWindow = (exam) => ({
+  opensAt: new Date(exam.startTime.getTime() - EXAM_CHECKIN_OPENS_MINUTES * 60 * 1000),
+  closesAt: exam.endTime
+});
+
+// 'late' once the check-in is past the scheduled start plus LATE_GRACE_MINUTES
+const checkInStatus = (exam, checkInTime) =>
+  checkInTime.getTime() > exam.startTime.getTime() + LATE_GRACE_MINUTES * 60 * 1000 ? 'late' : 'present';
+
+// Create an exam session
+app.post('/api/exams', requireRole('admin'), async (req, res) => {
+  try {
+    const { course, paperCode, title, venue, startTime, endTime, invigilators } = req.body;
+
+    if (!course || !paperCode || !venue || !startTime || !endTime) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'All fields are required (course, paperCode, venue, startTime, endTime)' 
+      });
+    }
+
+    const start = new Date(startTime);
+    const end = new Date(endTime);
+
+    if (isNaN(start) || isNaN(end) || end <= start) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Invalid exam times. endTime must be after startTime' 
+      });
+    }
+
+    const exam = await db.exams.create({
+      course,
+      paperCode,
+      title,
+      venue,
+      startTime: start,
+      endTime: end,
+      invigilators: Array.isArray(invigilators) ? invigilators : []
+    });
+
+    await recordAudit(req, { action: 'exam.create', targetType: 'exam', targetId: exam._id, after: exam });
+    console.log('✅ Exam session created:', exam.paperCode);
+
+    res.status(201).json({ 
+      success: true, 
+      message: 'Exam session created successfully',
+      data: exam 
+    });
+
+  } catch (error) {
+    console.error('❌ Create exam error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Error creating exam session',
+      error: error.message 
+    });
+  }
+});
+
+// List exam sessions (?current=true returns sessions open for check-in right now)
+app.get('/api/exams', requireAuth, async (req, res) => {
+  try {
+    const query = { isActive: true };
+
+    if (req.query.course !== undefined && typeof req.query.course !== 'string') {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'course must be a single course name' 
+      });
+    }
+
+    if (req.query.course) query.course = req.query.course;
+
+    if (req.query.current === 'true') {
+      const now = new Date();
+      query.startTime = { $lte: new Date(now.getTime() + EXAM_CHECKIN_OPENS_MINUTES * 60 * 1000) };
+      query.endTime = { $gte: now };
+    }
+
+    const exams = await db.exams.find(query, { sort: { startTime: 1 } });
+
+    res.json({ 
+      success: true, 
+      count: exams.length,
+      data: exams 
+    });
+
+  } catch (error) {
+    console.error('❌ Fetch exams error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Error fetching exam sessions',
+      error: error.message 
+    });
+  }
+});
+
+// Get single exam session
+app.get('/api/exams/:examId', requireAuth, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.examId)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Invalid exam ID' 
+      });
+    }
+
+    const exam = await db.exams.findById(req.params.examId);
+
+    if (!exam) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Exam session not found' 
+      });
+    }
+
+    res.json({ 
+      success: true, 
+      data: exam 
+    });
+
+  } catch (error) {
+    console.error('❌ Fetch exam error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Error fetching exam session',
+      error: error.message 
+    });
+  }
+});
+
+// Update exam session
+app.put('/api/exams/:examId', requireRole('admin'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.examId)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Invalid exam ID' 
+      });
+    }
+
+    const exam = await db.exams.findById(req.params.examId);
+
+    if (!exam) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Exam session not found' 
+      });
+    }
+
+    const { course, paperCode, title, venue, startTime, endTime, invigilators } = req.body;
+    const changes = {};
+
+    if (course) changes.course = course;
+    if (paperCode) changes.paperCode = paperCode;
+    if (title !== undefined) changes.title = title;
+    if (venue) changes.venue = venue;
+    if (startTime) changes.startTime = new Date(startTime);
+    if (endTime) changes.endTime = new Date(endTime);
+    if (Array.isArray(invigilators)) changes.invigilators = invigilators;
+
+    const start = changes.startTime || exam.startTime;
+    const end = changes.endTime || exam.endTime;
+    if (isNaN(start) || isNaN(end) || end <= start) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Invalid exam times. endTime must be after startTime' 
+      });
+    }
+
+    const updated = await db.exams.update({ _id: exam._id }, changes);
+    await recordAudit(req, { action: 'exam.update', targetType: 'exam', targetId: exam._id, before: exam, after: updated });
+    console.log('✅ Exam session updated:', req.params.examId);
+
+    res.json({ 
+      success: true, 
+      message: 'Exam session updated successfully',
+      data: updated 
+    });
+
+  } catch (error) {
+    console.error('❌ Update exam error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Error updating exam session',
+      error: error.message 
+    });
+  }
+});
+
+// Delete exam session (soft delete - attendance records keep their reference)
+app.delete('/api/exams/:examId', requireRole('admin'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.examId)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Invalid exam ID' 
+      });
+    }
+
+    const exam = await db.exams.findById(req.params.examId);
+
+    if (!exam) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Exam session not found' 
+      });
+    }
+
+    await db.exams.update({ _id: exam._id }, { isActive: false });
+
+    await recordAudit(req, {
+      action: 'exam.delete',
+      targetType: 'exam',
+      targetId: exam._id,
+      before: { isActive: exam.isActive },
+      after: { isActive: false }
+    });
+
+    console.log('✅ Exam session deleted:', req.params.examId);
+
+    res.json({ 
+      success: true, 
+      message: 'Exam session deleted successfully' 
+    });
+
+  } catch (error) {
+    console.error('❌ Delete exam error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Error deleting exam session',
+      error: error.message 
+    });
+  }
+});
+
+// ========== STATION ROUTES ==========
+
+// Station as shown to admins: never the key hash, plus whether it is online
+const stationView = (station) => {
+  const { keyHash, ...view } = station;
+  return {
+    ...view,
+    online: !!station.lastSeenAt && Date.now() - station.lastSeenAt.getTime() < STATION_ONLINE_MINUTES * 60 * 1000
+  };
+};
+
+// Validate allowedExams from a request body; null if it is not a list of exam IDs
+const parseAllowedExams = (allowedExams) => {
+  if (allowedExams === undefined) return [];
+  if (!Array.isArray(allowedExams) || !allowedExams.every(id => mongoose.isValidObjectId(id))) return null;
+  return allowedExams;
+};
+
+// Replace each station's allowedExams IDs with those sessions' select fields, as populate() would
+const withAllowedExams = async (stations, select) => {
+  const ids = stations.flatMap(station => station.allowedExams || []);
+  const exams = ids.length > 0 ? await db.exams.find({ _id: { $in: ids } }, { select }) : [];
+  const examsById = new Map(exams.map(exam => [String(exam._id), exam]));
+
+  return stations.map(station => ({
+    ...station,
+    allowedExams: (station.allowedExams || []).map(id => examsById.get(String(id))).filter(Boolean)
+  }));
+};
+
+// Kiosk heartbeat (station key only): marks the station online and records its versions
+app.post('/api/stations/heartbeat', requireStation(), async (req, res) => {
+  try {
+    const { appVersion, modelVersion } = req.body;
+
+    const updated = await db.stations.update({ _id: req.station._id }, {
+      lastSeenAt: new Date(),
+      lastIp: req.ip,
+      appVersion: appVersion ? String(appVersion).slice(0, 50) : undefined,
+      modelVersion: modelVersion ? String(modelVersion).slice(0, 50) : undefined,
+      userAgent: req.get('user-agent') ? req.get('user-agent').slice(0, 200) : undefined
+    });
+    const [station] = await withAllowedExams([updated], 'paperCode');
+
+    res.json({ 
+      success: true, 
+      data: {
+        name: station.name,
+        venue: station.venue,
+        allowedExams: station.allowedExams
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Station heartbeat error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Error recording heartbeat',
+      error: error.message 
+    });
+  }
+});
+
+// List stations with their online status
+app.get('/api/stations', requireRole('admin'), async (req, res) => {
+  try {
+    const stations = await withAllowedExams(await db.stations.find({}, { sort: { name: 1 } }), 'paperCode startTime');
+
+    res.json({ 
+      success: true, 
+      count: stations.length,
+      data: stations.map(stationView) 
+    });
+
+  } catch (error) {
+    console.error('❌ Fetch stations error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Error fetching stations',
+      error: error.message 
+    });
+  }
+});
+
+// Register a station. The API key is only returned here and on rotate-key - it can't be read back.
+app.post('/api/stations', requireRole('admin'), async (req, res) => {
+  try {
+    const name = req.body.name ? String(req.body.name).trim() : '';
+    const allowedExams = parseAllowedExams(req.body.allowedExams);
+
+    if (!name) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Station name is required' 
+      });
+    }
+
+    if (!allowedExams) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'allowedExams must be a list of exam session IDs' 
+      });
+    }
+
+    if (await db.stations.findOne({ name })) {
+      return res.status(409).json({ 
+        success: false, 
+        message: 'A station with this name already exists' 
+      });
+    }
+
+    const apiKey = generateStationKey();
+    const station = await db.stations.create({
+      name,
+      venue: req.body.venue,
+      allowedExams,
+      keyHash: hashStationKey(apiKey),
+      keyPrefix: apiKey.slice(0, 8),
+      createdBy: req.user.username
+    });
+
+    await recordAudit(req, { action: 'station.create', targetType: 'station', targetId: station.name, after: station });
+    console.log('✅ Station registered:', station.name);
+
+    res.status(201).json({ 
+      success: true, 
+      message: 'Station registered. Copy the API key now - it will not be shown again',
+      apiKey,
+      data: stationView(station) 
+    });
+
+  } catch (error) {
+    console.error('❌ Create station error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Error registering station',
+      error: error.message 
+    });
+  }
+});
+
+// Load a station by ID for the admin routes; sends the error response and resolves null if missing
+const findStation = async (stationId, res) => {
+  if (!mongoose.isValidObjectId(stationId)) {
+    res.status(400).json({ 
+      success: false, 
+      message: 'Invalid station ID' 
+    });
+    return null;
+  }
+
+  const station = await db.stations.findById(stationId);
+  if (!station) {
+    res.status(404).json({ 
+      success: false, 
+      message: 'Station not found' 
+    });
+    return null;
+  }
+
+  return station;
+};
+
+// Update a station's name, venue or allowed sessions
+app.put('/api/stations/:stationId', requireRole('admin'), async (req, res) => {
+  try {
+    const station = await findStation(req.params.stationId, res);
+    if (!station) return;
+
+    const { name, venue, allowedExams } = req.body;
+    const changes = {};
+
+    if (allowedExams !== undefined) {
+      const parsed = parseAllowedExams(allowedExams);
+      if (!parsed) {
+        return res.status(400).json({ 
+          success: false, 
+          message: 'allowedExams must be a list of exam session IDs' 
+        });
+      }
+      changes.allowedExams = parsed;
+    }
+    if (name) changes.name = String(name).trim();
+    if (venue !== undefined) changes.venue = venue;
+
+    const updated = await db.stations.update({ _id: station._id }, changes);
+    await recordAudit(req, { action: 'station.update', targetType: 'station', targetId: updated.name, before: station, after: updated });
+
+    res.json({ 
+      success: true, 
+      message: 'Station updated successfully',
+      data: stationView(updated) 
+    });
+
+  } catch (error) {
+    console.error('❌ Update station error:', error);
+    res.status(error.code === 11000 ? 409 : 500).json({ 
+      success: false, 
+      message: error.code === 11000 ? 'A station with this name already exists' : 'Error updating station',
+      error: error.message 
+    });
+  }
+});
+
+// Issue a new key (the old one stops working at once). Also re-activates a revoked station.
+app.post('/api/stations/:stationId/rotate-key', requireRole('admin'), async (req, res) => {
+  try {
+    const station = await findStation(req.params.stationId, res);
+    if (!station) return;
+
+    const apiKey = generateStationKey();
+    const updated = await db.stations.update({ _id: station._id }, {
+      $set: { keyHash: hashStationKey(apiKey), keyPrefix: apiKey.slice(0, 8), isActive: true },
+      $unset: { revokedAt: '' }
+    });
+
+    await recordAudit(req, { action: 'station.rotateKey', targetType: 'station', targetId: station.name, before: station, after: updated });
+    console.log('✅ Station key rotated:', station.name);
+
+    res.json({ 
+      success: true, 
+      message: 'New key issued. Copy it now - it will not be shown again',
+      apiKey,
+      data: stationView(updated) 
+    });
+
+  } catch (error) {
+    console.error('❌ Rotate station key error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Error rotating station key',
+      error: error.message 
+    });
+  }
+});
+
+// Revoke a station: its key is rejected from now on (records keep their stationId)
+app.delete('/api/stations/:stationId', requireRole('admin'), async (req, res) => {
+  try {
+    const station = await findStation(req.params.stationId, res);
+    if (!station) return;
+
+    const updated = await db.stations.update({ _id: station._id }, { isActive: false, revokedAt: new Date() });
+
+    await recordAudit(req, { action: 'station.revoke', targetType: 'station', targetId: station.name, before: station, after: updated });
+    console.log('⚠️  Station revoked:', station.name);
+
+    res.json({ 
+      success: true, 
+      message: 'Station revoked successfully' 
+    });
+
+  } catch (error) {
+    console.error('❌ Revoke station error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Error revoking station',
+      error: error.message 
+    });
+  }
+});
+
+// ========== ATTENDANCE ROUTES ==========
+
+// Kiosk routes: the registered station from X-Station-Key (see auth.js)
+const stationAuth = requireStation({ required: REQUIRE_STATION_KEY });
+
+// Station fields for a record: the registered kiosk, or the name the client sent
+// when station keys are not required
+const stationStamp = (req) => req.station
+  ? { station: req.station.name, stationId: req.station._id }
+  : { station: req.body.station ? String(req.body.station).trim() : undefined };
+
+// What the live feed sends for an attendance change
+const liveAttendance = (attendance) => ({
+  _id: attendance._id,
+  studentId: attendance.studentId,
+  name: attendance.name,
+  course: attendance.course,
+  exam: attendance.exam,
+  paperCode: attendance.paperCode,
+  station: attendance.station,
+  stationId: attendance.stationId,
+  checkOutStation: attendance.checkOutStation,
+  status: attendance.status,
+  method: attendance.method,
+  checkInTime: attendance.checkInTime,
+  checkOutTime: attendance.checkOutTime,
+  durationMinutes: attendance.durationMinutes
+});
+
+// Decode a data:image/jpeg;base64 URL; null if it isn't a JPEG within MAX_SNAPSHOT_BYTES
+const decodeJpeg = (dataUrl) => {
+  const match = /^data:image\/jpeg;base64,([A-Za-z0-9+/=]+)$/.exec(String(dataUrl || ''));
+  if (!match) return null;
+
+  const buffer = Buffer.from(match[1], 'base64');
+  // JPEG files start with FF D8 FF
+  if (buffer.length > MAX_SNAPSHOT_BYTES || buffer[0] !== 0xff || buffer[1] !== 0xd8 || buffer[2] !== 0xff) return null;
+
+  return buffer;
+};
+
+// Snapshot sent with a check-in: { image, thumbnail } as JPEG data URLs.
+// Resolves undefined when there is none and null when it is invalid.
+const parseSnapshot = (snapshot) => {
+  if (!snapshot) return undefined;
+
+  const image = decodeJpeg(snapshot.image);
+  const thumbnail = snapshot.thumbnail ? decodeJpeg(snapshot.thumbnail) : undefined;
+  if (!image || thumbnail === null) return null;
+
+  return { image, thumbnail };
+};
+
+// Store a check-in's snapshot and note it on the record. A storage failure is
+// logged but never loses the check-in itself.
+const storeSnapshot = async (attendance, snapshot) => {
+  const key = `${attendance.date}/${attendance._id}.jpg`;
+  const thumbnailKey = snapshot.thumbnail ? `${attendance.date}/${attendance._id}_thumb.jpg` : undefined;
+
+  try {
+    await snapshotStorage.put(key, snapshot.image);
+    if (thumbnailKey) await snapshotStorage.put(thumbnailKey, snapshot.thumbnail);
+
+    const stored = { key, thumbnailKey, bytes: snapshot.image.length };
+    await db.attendance.update({ _id: attendance._id }, { snapshot: stored });
+    attendance.snapshot = stored;
+  } catch (error) {
+    console.error('❌ Snapshot storage failed:', attendance._id.toString(), error.message);
+  }
+};
+
+// Students a face can be matched against
+const loadMatchCandidates = () =>
+  db.students.find(
+    { isActive: true, enrollmentStatus: { $nin: ['pending', 'review'] } },
+    { select: 'studentId name course faceTemplates.descriptor' }
+  );
+
+// Why a student can't be checked in to an exam session of another course, or null if they can
+const courseMismatch = (student, exam) => (student.course === exam.course
+  ? null
+  : `${student.name} is registered for ${student.course}, not ${exam.course} (${exam.paperCode})`);
+
+// { status, body } error response for a face matchFace did not accept, or null if it matched
+const matchRejection = (match, settings) => {
+  if (match.status === 'matched') return null;
+
+  if (match.status === 'ambiguous') {
+    console.log('❌ Ambiguous match:', match.candidate.studentId, 'vs', match.runnerUp.candidate.studentId);
+    return { status: 422, body: { success: false, ambiguous: true, message: `Too close to call between ${match.candidate.name} and ${match.runnerUp.candidate.name} - try again or record a manual check-in` } };
+  }
+
+  if (match.status === 'lowConfidence') {
+    console.log('❌ Match below minimum confidence:', `${match.confidence}%`);
+    return { status: 404, body: { success: false, message: `Match confidence ${match.confidence}% is below the minimum of ${settings.minConfidence}%` } };
+  }
+
+  console.log('❌ No matching student found');
+  return { status: 404, body: { success: false, message: 'No match found in system' } };
+};
+
+// Match one face and record its check-in for an exam session.
+// Shared by the single and batch verify routes; resolves to { status, body } for that face.
+// Offline kiosks replay queued check-ins (queued: true) with the same clientId and the
+// original capturedAt, so a replay is idempotent and keeps the real check-in time.
+// Live check-ins always take the server time, so they can't be backdated to avoid a late mark.
+const verifyFaceCheckIn = async ({ req, face, exam, students, settings }) => {
+  const { faceDescriptor } = face;
+  const liveness = parseLiveness(face.liveness);
+  const snapshot = parseSnapshot(face.snapshot);
+  const clientId = face.clientId ? String(face.clientId).trim().slice(0, 64) : null;
+
+  // A replay of a check-in we already stored answers with the original record
+  if (clientId) {
+    const replayed = await db.attendance.findOne({ clientId });
+    if (replayed) {
+      console.log('⚠️  Check-in already recorded for clientId:', clientId);
+      return { status: 200, body: { success: true, duplicate: true, message: 'Check-in already recorded', data: replayed } };
+    }
+  }
+
+  const now = new Date();
+  const isReplay = face.queued === true && !!clientId && !!face.capturedAt;
+  // A replayed time must still fall inside the exam window (checked below)
+  const checkInTime = isReplay ? new Date(face.capturedAt) : now;
+
+  if (isNaN(checkInTime) || checkInTime.getTime() > now.getTime() + MAX_CLOCK_SKEW_MS) {
+    console.log('❌ Invalid capturedAt:', face.capturedAt);
+    return { status: 400, body: { success: false, message: 'Invalid capture time' } };
+  }
+
+  if (!isValidDescriptor(faceDescriptor)) {
+    console.log('❌ Invalid face descriptor');
+    return { status: 400, body: { success: false, message: 'Invalid face descriptor. Must be an array of 128 numbers' } };
+  }
+
+  if (snapshot === null) {
+    console.log('❌ Invalid snapshot');
+    return { status: 400, body: { success: false, message: `Invalid snapshot. Send JPEG data URLs of at most ${MAX_SNAPSHOT_BYTES / 1024} KB` } };
+  }
+
+  if (REQUIRE_LIVENESS && !(liveness && liveness.passed)) {
+    console.log('❌ Liveness check not passed');
+    return { status: 400, body: { success: false, message: 'Liveness check required before verification' } };
+  }
+
+  const { opensAt, closesAt } = examCheckInWindow(exam);
+  if (checkInTime < opensAt || checkInTime > closesAt) {
+    console.log('❌ Check-in outside exam window:', exam.paperCode);
+    return { status: 400, body: { success: false, message: `Check-in for ${exam.paperCode} is only open from ${formatTime(opensAt)} to ${formatTime(closesAt)}` } };
+  }
+
+  // Match against every template of every active student
+  const match = matchFace(faceDescriptor, students, settings);
+  const rejection = matchRejection(match, settings);
+  if (rejection) return rejection;
+
+  const student = match.candidate;
+
+  const mismatch = courseMismatch(student, exam);
+  if (mismatch) {
+    console.log('❌ Student not registered for session course:', student.studentId, exam.paperCode);
+    return { status: 400, body: { success: false, message: mismatch } };
+  }
+
+  // Check if already checked in to this session
+  const existingAttendance = await db.attendance.findOne({ 
+    studentId: student.studentId, 
+    exam: exam._id 
+  });
+
+  if (existingAttendance) {
+    console.log('⚠️  Student already checked in:', student.studentId, exam.paperCode);
+    return { status: 409, body: { success: false, message: `${student.name} already checked in for ${exam.paperCode}`, data: existingAttendance } };
+  }
+
+  // Create attendance record from the matched student
+  let attendance;
+  try {
+    attendance = await db.attendance.create({
+      studentId: student.studentId,
+      name: student.name,
+      course: student.course,
+      exam: exam._id,
+      paperCode: exam.paperCode,
+      ...stationStamp(req),
+      clientId: clientId || undefined,
+      checkInTime,
+      date: toDateKey(checkInTime),
+      status: checkInStatus(exam, checkInTime),
+      method: 'face',
+      confidence: match.confidence,
+      matchDistance: match.distance,
+      settingsVersion: settings.version,
+      liveness: liveness || undefined
+    });
+  } catch (error) {
+    // Two replays of the same check-in racing each other
+    if (error.code === 11000) {
+      console.log('⚠️  Duplicate check-in rejected by index');
+      return { status: 409, body: { success: false, message: 'Check-in already recorded' } };
+    }
+    throw error;
+  }
+
+  if (snapshot) await storeSnapshot(attendance, snapshot);
+
+  await recordAudit(req, {
+    action: 'attendance.checkIn',
+    targetType: 'attendance',
+    targetId: attendance._id,
+    after: attendance,
+    station: attendance.station
+  });
+
+  live.broadcast('checkin', liveAttendance(attendance));
+
+  await refreshTemplates({
+    req,
+    studentId: student.studentId,
+    descriptor: faceDescriptor,
+    confidence: match.confidence,
+    liveness,
+    attendanceId: attendance._id
+  });
+
+  console.log('✅ Attendance marked:', student.studentId, exam.paperCode, attendance.status, `${match.confidence}%`);
+  return { status: 201, body: { success: true, message: 'Attendance marked successfully', data: attendance } };
+};
+
+// Load the exam session a verify request is for and check the station may use it;
+// sends the error response and resolves null if not
+const findCheckInExam = async (examId, res, station) => {
+  if (!examId || !mongoose.isValidObjectId(examId)) {
+    console.log('❌ Missing or invalid exam session');
+    res.status(400).json({ 
+      success: false, 
+      message: 'A valid exam session (examId) is required' 
+    });
+    return null;
+  }
+
+  const exam = await db.exams.findOne({ _id: examId, isActive: true });
+  if (!exam) {
+    res.status(404).json({ 
+      success: false, 
+      message: 'Exam session not found' 
+    });
+    return null;
+  }
+
+  if (station && station.allowedExams.length > 0 && !station.allowedExams.some(id => id.equals(exam._id))) {
+    console.log('❌ Station not allowed for session:', station.name, exam.paperCode);
+    res.status(403).json({ 
+      success: false, 
+      message: `Station ${station.name} is not allowed to check in to ${exam.paperCode}` 
+    });
+    return null;
+  }
+
+  return exam;
+};
+
+// Verify a face and mark attendance for an exam session.
+// The client only sends the descriptor - identity and confidence are decided here.
+app.post('/api/attendance/verify', requireRole('admin', 'invigilator'), stationAuth, async (req, res) => {
+  try {
+    console.log('✅ Verify request received');
+
+    const exam = await findCheckInExam(req.body.examId, res, req.station);
+    if (!exam) return;
+
+    const students = await loadMatchCandidates();
+    const settings = await getRecognitionSettings();
+    const result = await verifyFaceCheckIn({ req, face: req.body, exam, students, settings });
+
+    res.status(result.status).json(result.body);
+
+  } catch (error) {
+    console.error('❌ Verify error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Error verifying attendance',
+      error: error.message 
+    });
+  }
+});
+
+// Verify every face in a frame at once: { examId, faces: [{ faceDescriptor, liveness, clientId }] }.
+// Each face gets its own result, so one unknown face does not fail the others.
+app.post('/api/attendance/verify-batch', requireRole('admin', 'invigilator'), stationAuth, async (req, res) => {
+  try {
+    const { faces } = req.body;
+    console.log(`✅ Batch verify request received (${Array.isArray(faces) ? faces.length : 0} faces)`);
+
+    if (!Array.isArray(faces) || faces.length === 0 || faces.length > MAX_BATCH_FACES) {
+      return res.status(400).json({ 
+        success: false, 
+        message: `faces must be an array of 1 to ${MAX_BATCH_FACES} faces` 
+      });
+    }
+
+    const exam = await findCheckInExam(req.body.examId, res, req.station);
+    if (!exam) return;
+
+    const students = await loadMatchCandidates();
+    const settings = await getRecognitionSettings();
+    const outcomes = { 201: 'checked_in', 200: 'checked_in', 404: 'unknown', 409: 'already_checked_in', 422: 'ambiguous' };
+    const results = [];
+
+    // One at a time so two faces of the same student can't both be recorded
+    for (const [index, face] of faces.entries()) {
+      const { status, body } = await verifyFaceCheckIn({ req, face: face || {}, exam, students, settings });
+      results.push({ index, status, outcome: outcomes[status] || 'rejected', ...body });
+    }
+
+    const summary = results.reduce((counts, result) => {
+      counts[result.outcome] = (counts[result.outcome] || 0) + 1;
+      return counts;
+    }, {});
+
+    console.log('✅ Batch verify done:', summary);
+
+    res.json({ 
+      success: true, 
+      summary,
+      data: results
+    });
+
+  } catch (error) {
+    console.error('❌ Batch verify error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Error verifying attendance',
+      error: error.message 
+    });
+  }
+});
+
+// Manual override when face recognition can't be used (injury, new glasses, broken camera).
+// status 'present' checks the student in (late is worked out as usual) and needs their ID card number;
+// 'absent' and 'excused' record that they did not sit the session. A reason is always required.
+// Like every attendance write, it has to come from a registered station.
+app.post('/api/attendance/manual', requireRole('admin', 'invigilator'), stationAuth, async (req, res) => {
+  try {
+    const studentId = req.body.studentId ? String(req.body.studentId).trim() : '';
+    const reason = req.body.reason ? String(req.body.reason).trim().slice(0, 500) : '';
+    const idCardNumber = req.body.idCardNumber ? String(req.body.idCardNumber).trim().slice(0, 64) : '';
+    const requested = req.body.status || 'present';
+
+    if (!['present', 'absent', 'excused'].includes(requested)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'status must be one of: present, absent, excused' 
+      });
+    }
+
+    if (!studentId || !reason) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'studentId and a reason are required for a manual override' 
+      });
+    }
+
+    if (requested === 'present' && !idCardNumber) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'An ID card number is required for a manual check-in' 
+      });
+    }
+
+    const exam = await findCheckInExam(req.body.examId, res, req.station);
+    if (!exam) return;
+
+    const student = await db.students.findOne({ studentId, isActive: true });
+    if (!student) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Student not found' 
+      });
+    }
+
+    const mismatch = courseMismatch(student, exam);
+    if (mismatch) {
+      return res.status(400).json({ 
+        success: false, 
+        message: mismatch 
+      });
+    }
+
+    const existingAttendance = await db.attendance.findOne({ studentId: student.studentId, exam: exam._id });
+    if (existingAttendance) {
+      return res.status(409).json({ 
+        success: false, 
+        message: `${student.name} already has a ${existingAttendance.status} record for ${exam.paperCode}`,
+        data: existingAttendance
+      });
+    }
+
+    const now = new Date();
+    let checkInTime = null;
+    let status = requested;
+
+    if (requested === 'present') {
+      const { opensAt, closesAt } = examCheckInWindow(exam);
+      if (now < opensAt || now > closesAt) {
+        return res.status(400).json({ 
+          success: false, 
+          message: `Check-in for ${exam.paperCode} is only open from ${formatTime(opensAt)} to ${formatTime(closesAt)}` 
+        });
+      }
+      checkInTime = now;
+      status = checkInStatus(exam, now);
+    }
+
+    let attendance;
+    try {
+      attendance = await db.attendance.create({
+        studentId: student.studentId,
+        name: student.name,
+        course: student.course,
+        exam: exam._id,
+        paperCode: exam.paperCode,
+        ...stationStamp(req),
+        checkInTime,
+        date: toDateKey(checkInTime || exam.startTime),
+        status,
+        method: 'manual',
+        override: {
+          reason,
+          idCardNumber: idCardNumber || undefined,
+          recordedBy: req.user.username
+        }
+      });
+    } catch (error) {
+      // A check-in for the same student recorded since the check above
+      if (error.code === 11000) {
+        return res.status(409).json({ 
+          success: false, 
+          message: `${student.name} is already checked in for ${exam.paperCode}` 
+        });
+      }
+      throw error;
+    }
+
+    await recordAudit(req, { action: 'attendance.manual', targetType: 'attendance', targetId: attendance._id, after: attendance });
+    live.broadcast('override', liveAttendance(attendance));
+
+    console.log('📝 Manual override:', student.studentId, exam.paperCode, status, 'by', req.user.username);
+
+    res.status(201).json({ 
+      success: true, 
+      message: `Manual ${status} recorded for ${student.name}`,
+      data: attendance 
+    });
+
+  } catch (error) {
+    console.error('❌ Manual override error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Error recording manual override',
+      error: error.message 
+    });
+  }
+});
+
+// Check a candidate out of an exam session with the same face verification as check-in.
+// Stores checkOutTime (server time) and the time spent in the room on their attendance record.
+app.post('/api/attendance/checkout', requireRole('admin', 'invigilator'), stationAuth, async (req, res) => {
+  try {
+    const { faceDescriptor } = req.body;
+    const liveness = parseLiveness(req.body.liveness);
+    console.log('✅ Checkout request received');
+
+    const exam = await findCheckInExam(req.body.examId, res, req.station);
+    if (!exam) return;
+
+    // Always the server's time: check-outs are never queued offline, and a
+    // client-sent time could shorten or lengthen the time in the room
+    const checkOutTime = new Date();
+
+    if (!isValidDescriptor(faceDescriptor)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Invalid face descriptor. Must be an array of 128 numbers' 
+      });
+    }
+
+    if (REQUIRE_LIVENESS && !(liveness && liveness.passed)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Liveness check required before verification' 
+      });
+    }
+
+    const settings = await getRecognitionSettings();
+    const match = matchFace(faceDescriptor, await loadMatchCandidates(), settings);
+    const rejection = matchRejection(match, settings);
+
+    if (rejection) {
+      return res.status(rejection.status).json(rejection.body);
+    }
+
+    const student = match.candidate;
+    const attendance = await db.attendance.findOne({ 
+      studentId: student.studentId, 
+      exam: exam._id, 
+      status: { $in: ['present', 'late'] } 
+    });
+
+    if (!attendance) {
+      return res.status(404).json({ 
+        success: false, 
+        message: `${student.name} has not checked in for ${exam.paperCode}` 
+      });
+    }
+
+    if (attendance.checkOutTime) {
+      return res.status(409).json({ 
+        success: false, 
+        message: `${student.name} already checked out of ${exam.paperCode} at ${formatTime(attendance.checkOutTime)}`,
+        data: attendance
+      });
+    }
+
+    if (checkOutTime < attendance.checkInTime) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Check-out time is before the check-in time' 
+      });
+    }
+
+    const updated = await db.attendance.update({ _id: attendance._id }, {
+      checkOutTime,
+      checkOutStation: stationStamp(req).station,
+      durationMinutes: Math.floor((checkOutTime - attendance.checkInTime) / 60000)
+    });
+
+    await recordAudit(req, { action: 'attendance.checkOut', targetType: 'attendance', targetId: attendance._id, before: attendance, after: updated });
+    live.broadcast('checkout', liveAttendance(updated));
+
+    console.log('✅ Checked out:', student.studentId, exam.paperCode, `${updated.durationMinutes} min`);
+
+    res.json({ 
+      success: true, 
+      message: 'Checked out successfully',
+      data: updated 
+    });
+
+  } catch (error) {
+    console.error('❌ Checkout error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Error checking out',
+      error: error.message 
+    });
+  }
+});
+
+// Candidates checked in to an exam session who have not checked out yet
+app.get('/api/attendance/in-room', requireAuth, async (req, res) => {
+  try {
+    const { examId } = req.query;
+
+    if (!examId || !mongoose.isValidObjectId(examId)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'A valid exam session (examId) is required' 
+      });
+    }
+
+    const records = await db.attendance.find(
+      { exam: examId, status: { $in: ['present', 'late'] }, checkOutTime: null },
+      { select: 'studentId name course paperCode checkInTime station', sort: { checkInTime: 1 } }
+    );
+
+    res.json({ 
+      success: true, 
+      count: records.length,
+      data: records 
+    });
+
+  } catch (error) {
+    console.error('❌ In-room fetch error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Error fetching candidates in the room',
+      error: error.message 
+    });
+  }
+});
+
+// Evidence snapshot of a check-in (?size=thumb for the thumbnail)
+app.get('/api/attendance/:attendanceId/snapshot', requireAuth, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.attendanceId)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Invalid attendance ID' 
+      });
+    }
+
+    const attendance = await db.attendance.findById(req.params.attendanceId, { select: 'snapshot' });
+    const snapshot = attendance && attendance.snapshot;
+    const key = snapshot && (req.query.size === 'thumb' && snapshot.thumbnailKey ? snapshot.thumbnailKey : snapshot.key);
+    const image = key ? await snapshotStorage.get(key) : null;
+
+    if (!image) {
+      return res.status(404).json({ 
+        success: false, 
+        message: snapshot && snapshot.purgedAt
+          ? `Snapshot was purged after ${SNAPSHOT_RETENTION_DAYS} days`
+          : 'No snapshot for this check-in' 
+      });
+    }
+
+    res.set('Cache-Control', 'private, max-age=3600');
+    res.type('image/jpeg').send(image);
+
+  } catch (error) {
+    console.error('❌ Fetch snapshot error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Error fetching snapshot',
+      error: error.message 
+    });
+  }
+});
+
+// Get today's attendance
+app.get('/api/attendance/today', requireAuth, async (req, res) => {
+  try {
+    const today = toDateKey();
+    const query = { date: today };
+
+    if (req.query.examId) {
+      if (!mongoose.isValidObjectId(req.query.examId)) {
+        return res.status(400).json({ 
+          success: false, 
+          message: 'Invalid exam ID' 
+        });
+      }
+      query.exam = req.query.examId;
+    }
+    
+    const attendanceRecords = await db.attendance.find(query, { sort: { checkInTime: -1 } });
+
+    console.log(`✅ Retrieved ${attendanceRecords.length} attendance records for today`);
+
+    // === START OF CSV LOGIC ===
+    if (req.query.format === 'csv') {
+      // Always include the check-out and override columns, even when no row uses them
+      const csvData = jsonToCsv(attendanceRecords.map(({ override, ...record }) => ({
+        ...record,
+        status: record.status || 'present',
+        method: record.method || 'face',
+        checkOutTime: record.checkOutTime || null,
+        durationMinutes: record.durationMinutes != null ? record.durationMinutes : null,
+        overrideReason: override ? override.reason : null,
+        overrideIdCardNumber: override ? override.idCardNumber : null,
+        overrideRecordedBy: override ? override.recordedBy : null
+      })));
+      
+      res.header('Content-Type', 'text/csv');
+      // This header forces a download prompt and sets the filename
+      res.attachment(`attendance_${today}.csv`); 
+      
+      return res.send(csvData);
     }
     // === END OF CSV LOGIC ===
 
-    // Default JSON response
+    // Default JSON response
+    res.json({ 
+      success: true, 
+      date: today,
+      count: attendanceRecords.length,
+      data: attendanceRecords 
+    });
+
+  } catch (error) {
+    console.error('❌ Fetch attendance error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Error fetching attendance',
+      error: error.message 
+    });
+  }
+});
+
+const ATTENDANCE_SORTS = ['checkInTime', 'name', 'studentId', 'status', 'confidence'];
+
+// Filters shared by the attendance list routes: q (name or ID), status, course, examId, method
+const attendanceFilters = ({ q, status, course, examId, method }) => {
+  const query = searchFilter(q, ['name', 'studentId']);
+  if (ATTENDANCE_STATUSES.includes(status)) query.status = status;
+  if (['face', 'manual'].includes(method)) query.method = method;
+  if (course) query.course = new RegExp(`^${escapeRegex(String(course).trim())}$`, 'i');
+  if (examId && mongoose.isValidObjectId(examId)) query.exam = examId;
+  return query;
+};
+
+// Get attendance by date (YYYY-MM-DD, institution timezone)
+app.get('/api/attendance/date/:date', requireAuth, async (req, res) => {
+  try {
+    if (!isDateKey(req.params.date)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Invalid date. Use the ISO format YYYY-MM-DD' 
+      });
+    }
+
+    const query = { ...attendanceFilters(req.query), date: req.params.date };
+    const paging = parsePaging(req.query);
+    const sort = parseSort(req.query.sort, ATTENDANCE_SORTS, { checkInTime: -1, _id: 1 });
+
+    if (!sort) {
+      return res.status(400).json({ 
+        success: false, 
+        message: `Invalid sort. Use ${ATTENDANCE_SORTS.join(', ')} (prefix - for descending)` 
+      });
+    }
+
+    const [attendanceRecords, total] = await Promise.all([
+      db.attendance.find(query, { sort, skip: paging.skip, limit: paging.limit }),
+      db.attendance.count(query)
+    ]);
+
+    res.json(pagedBody(attendanceRecords, total, paging, { date: req.params.date }));
+
+  } catch (error) {
+    console.error('❌ Fetch attendance error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Error fetching attendance',
+      error: error.message 
+    });
+  }
+});
+
+// Get attendance by student (same filters, sort and paging as by date, plus from/to)
+app.get('/api/attendance/student/:studentId', requireAuth, async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    const studentId = req.params.studentId.toUpperCase();
+    const paging = parsePaging(req.query);
+    const sort = parseSort(req.query.sort, ATTENDANCE_SORTS, { checkInTime: -1, _id: 1 });
+
+    if (!sort) {
+      return res.status(400).json({ 
+        success: false, 
+        message: `Invalid sort. Use ${ATTENDANCE_SORTS.join(', ')} (prefix - for descending)` 
+      });
+    }
+
+    if ((from && !isDateKey(from)) || (to && !isDateKey(to))) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Invalid date range. Use from/to as YYYY-MM-DD' 
+      });
+    }
+
+    const query = { ...attendanceFilters(req.query), studentId };
+    if (from || to) {
+      // Date keys are YYYY-MM-DD, so they compare as strings
+      query.date = {};
+      if (from) query.date.$gte = from;
+      if (to) query.date.$lte = to;
+    }
+
+    const [attendanceRecords, total] = await Promise.all([
+      db.attendance.find(query, { sort, skip: paging.skip, limit: paging.limit }),
+      db.attendance.count(query)
+    ]);
+
+    res.json(pagedBody(attendanceRecords, total, paging, { studentId }));
+
+  } catch (error) {
+    console.error('❌ Fetch student attendance error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Error fetching student attendance',
+      error: error.message 
+    });
+  }
+});
+
+// Get attendance statistics. Today's figures only cover the students expected at
+// today's exam sessions: one check-in per active student of the session's course.
+app.get('/api/attendance/stats', requireAuth, async (req, res) => {
+  try {
+    const today = toDateKey();
+    const totalStudents = await db.students.count({ isActive: true });
+    const todaysExams = await db.exams.find(
+      { isActive: true, startTime: { $gte: startOfDay(today), $lt: startOfDay(addDays(today, 1)) } },
+      { select: 'course' }
+    );
+    const courseCounts = {};
+    for (const exam of todaysExams) {
+      if (courseCounts[exam.course] === undefined) {
+        courseCounts[exam.course] = await db.students.count({ isActive: true, course: exam.course });
+      }
+    }
+    const expectedToday = todaysExams.reduce((sum, exam) => sum + courseCounts[exam.course], 0);
+    const examIds = todaysExams.map(exam => exam._id);
+    const presentToday = await db.attendance.count({ exam: { $in: examIds }, status: { $nin: ['absent', 'excused'] } });
+    const excusedToday = await db.attendance.count({ exam: { $in: examIds }, status: 'excused' });
+    const lateToday = await db.attendance.count({ exam: { $in: examIds }, status: 'late' });
+    const totalAttendanceRecords = await db.attendance.count();
+    const expectedNotExcused = expectedToday - excusedToday;
+
     res.json({ 
       success: true, 
-      date: today,
-      count: attendanceRecords.length,
-      data: attendanceRecords 
+      data: {
+        totalStudents,
+        expectedToday,
+        presentToday,
+        lateToday,
+        absentToday: Math.max(expectedNotExcused - presentToday, 0),
+        attendanceRate: expectedNotExcused > 0 ? ((presentToday / expectedNotExcused) * 100).toFixed(2) : 0,
+        totalAttendanceRecords,
+        date: today
+      }
     });
 
   } catch (error) {
-    console.error('❌ Fetch attendance error:', error);
+    console.error('❌ Fetch stats error:', error);
     res.status(500).json({ 
       success: false, 
-      message: 'Error fetching attendance',
+      message: 'Error fetching statistics',
       error: error.message 
     });
   }
 });
-// Get attendance by date
-app.get('/api/attendance/date/:date', async (req, res) => {
+
+// Attendance report over a date range (YYYY-MM-DD, institution timezone).
+// For every active student: exam sessions expected for their course, present,
+// late, excused, absent and a percentage, plus course rollups and the students below
+// the eligibility threshold. Computed by the data backend (see repository/).
+app.get('/api/attendance/report', requireRole('admin', 'registrar'), async (req, res) => {
   try {
-    const attendanceRecords = await Attendance.find({ date: req.params.date })
-      .sort({ checkInTime: -1 });
+    const to = req.query.to || toDateKey();
+    const from = req.query.from || addDays(to, -(REPORT_DEFAULT_DAYS - 1));
+    const threshold = req.query.threshold !== undefined ? Number(req.query.threshold) : ATTENDANCE_THRESHOLD;
+
+    if (!isDateKey(from) || !isDateKey(to) || from > to) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Invalid date range. Use from/to as YYYY-MM-DD with from <= to' 
+      });
+    }
+
+    if (isNaN(threshold) || threshold < 0 || threshold > 100) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Threshold must be a percentage between 0 and 100' 
+      });
+    }
+
+    const rangeStart = startOfDay(from);
+    const rangeEnd = startOfDay(addDays(to, 1));
+    const graceMs = LATE_GRACE_MINUTES * 60 * 1000;
+
+    if (req.query.course !== undefined && typeof req.query.course !== 'string') {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'course must be a single course name' 
+      });
+    }
+
+    const report = await db.reports.attendance({ course: req.query.course, rangeStart, rangeEnd, graceMs, threshold });
+
+    console.log(`✅ Attendance report ${from} → ${to}: ${report.students.length} students`);
+
+    if (req.query.format === 'csv') {
+      res.header('Content-Type', 'text/csv');
+      res.attachment(`attendance_report_${from}_${to}.csv`);
+      return res.send(jsonToCsv(report.students));
+    }
 
     res.json({ 
       success: true, 
-      date: req.params.date,
-      count: attendanceRecords.length,
-      data: attendanceRecords 
+      from,
+      to,
+      timezone: TIMEZONE,
+      threshold,
+      lateGraceMinutes: LATE_GRACE_MINUTES,
+      data: report
     });
 
   } catch (error) {
-    console.error('❌ Fetch attendance error:', error);
+    console.error('❌ Attendance report error:', error);
     res.status(500).json({ 
       success: false, 
-      message: 'Error fetching attendance',
+      message: 'Error building attendance report',
       error: error.message 
     });
   }
 });
 
-// Get attendance by student
-app.get('/api/attendance/student/:studentId', async (req, res) => {
+// ========== LIVE FEED ROUTES ==========
+
+// Server-Sent Events stream of checkin, checkout and override events (see live.js).
+// EventSource can't set headers, so the token may be sent as ?token=
+app.get('/api/events', queryToken, requireAuth, (req, res) => {
+  live.subscribe(req, res);
+  console.log(`✅ Live feed opened by ${req.user.username} (${live.clientCount()} connected)`);
+});
+
+// Today's counts per exam session and per door, the starting point the live feed updates
+app.get('/api/attendance/live-summary', requireAuth, async (req, res) => {
   try {
-    const attendanceRecords = await Attendance.find({ 
-      studentId: req.params.studentId.toUpperCase() 
-    }).sort({ checkInTime: -1 });
+    const today = toDateKey();
+    const summary = await db.reports.liveSummary(today);
+
+    // Merge check-ins and check-outs into one row per door
+    const stations = {};
+    summary.checkIns.forEach(row => {
+      stations[row._id] = { station: row._id, checkedIn: row.count, checkedOut: 0 };
+    });
+    summary.checkOuts.forEach(row => {
+      stations[row._id] = stations[row._id] || { station: row._id, checkedIn: 0, checkedOut: 0 };
+      stations[row._id].checkedOut = row.count;
+    });
 
     res.json({ 
       success: true, 
-      studentId: req.params.studentId.toUpperCase(),
-      count: attendanceRecords.length,
-      data: attendanceRecords 
+      date: today,
+      data: {
+        sessions: summary.sessions.map(({ _id, ...session }) => ({
+          exam: _id,
+          ...session,
+          inRoom: session.checkedIn - session.checkedOut
+        })),
+        stations: Object.values(stations).sort((a, b) => a.station.localeCompare(b.station))
+      }
     });
 
   } catch (error) {
-    console.error('❌ Fetch student attendance error:', error);
+    console.error('❌ Live summary error:', error);
     res.status(500).json({ 
       success: false, 
-      message: 'Error fetching student attendance',
+      message: 'Error building live summary',
+      error: error.message 
+    });
+  }
+});
+
+// ========== SETTINGS ROUTES ==========
+
+// Recognition settings; kiosks load these at startup for offline matching
+app.get('/api/settings/recognition', requireAuth, async (req, res) => {
+  try {
+    res.json({ 
+      success: true, 
+      data: await getRecognitionSettings() 
+    });
+
+  } catch (error) {
+    console.error('❌ Fetch settings error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Error fetching settings',
       error: error.message 
     });
   }
 });
 
-// Get attendance statistics
-app.get('/api/attendance/stats', async (req, res) => {
+// Update recognition settings: { matchThreshold, courseThresholds: [{ course, threshold }],
+// minConfidence, ambiguityMargin }. Fields left out keep their value.
+app.put('/api/settings/recognition', requireRole('admin'), async (req, res) => {
   try {
-    const today = new Date().toLocaleDateString();
-    const totalStudents = await Student.countDocuments({ isActive: true });
-    const presentToday = await Attendance.countDocuments({ date: today });
-    const totalAttendanceRecords = await Attendance.countDocuments();
+    const invalid = validateRecognitionSettings(req.body);
+
+    if (invalid) {
+      return res.status(400).json({ 
+        success: false, 
+        message: invalid 
+      });
+    }
+
+    const { before, after } = await updateRecognitionSettings(req.body, req.user.username);
+
+    await recordAudit(req, {
+      action: 'settings.update',
+      targetType: 'settings',
+      targetId: 'recognition',
+      before,
+      after
+    });
+
+    // Connected kiosks reload their copy
+    live.broadcast('settings', { version: after.version });
+
+    console.log(`✅ Recognition settings updated to version ${after.version} by ${req.user.username}`);
 
     res.json({ 
       success: true, 
-      data: {
-        totalStudents,
-        presentToday,
-        absentToday: totalStudents - presentToday,
-        attendanceRate: totalStudents > 0 ? ((presentToday / totalStudents) * 100).toFixed(2) : 0,
-        totalAttendanceRecords,
-        date: today
+      message: 'Settings updated successfully',
+      data: after 
+    });
+
+  } catch (error) {
+    console.error('❌ Update settings error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Error updating settings',
+      error: error.message 
+    });
+  }
+});
+
+// ========== AUDIT ROUTES ==========
+
+// Audit trail, newest first. Filters: actor, action, targetType, targetId,
+// from/to (YYYY-MM-DD, institution timezone), page and limit (max 500).
+app.get('/api/audit', requireRole('admin'), async (req, res) => {
+  try {
+    const { actor, action, targetType, targetId, from, to } = req.query;
+    const paging = parsePaging(req.query, 100);
+    const query = {};
+
+    if ((from && !isDateKey(from)) || (to && !isDateKey(to))) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Invalid date range. Use from/to as YYYY-MM-DD' 
+      });
+    }
+
+    if (actor) query.actor = String(actor).toLowerCase().trim();
+    if (action) query.action = String(action);
+    if (targetType) query.targetType = String(targetType);
+    if (targetId) query.targetId = String(targetId).trim();
+    if (from || to) {
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = startOfDay(from);
+      if (to) query.createdAt.$lt = startOfDay(addDays(to, 1));
+    }
+
+    const [entries, total] = await Promise.all([
+      db.auditLog.find(query, { sort: { createdAt: -1 }, skip: paging.skip, limit: paging.limit }),
+      db.auditLog.count(query)
+    ]);
+
+    res.json(pagedBody(entries, total, paging));
+
+  } catch (error) {
+    console.error('❌ Fetch audit log error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Error fetching audit log',
+      error: error.message 
+    });
+  }
+});
+
+// ========== PRIVACY ROUTES ==========
+
+// Hard erasure: delete the student, their face templates and snapshots, and
+// anonymise their attendance records. Body: { reason } (required).
+app.post('/api/students/:studentId/erase', requireRole('admin'), async (req, res) => {
+  try {
+    const studentId = req.params.studentId.toUpperCase();
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+
+    if (!reason) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'A reason is required to erase a student' 
+      });
+    }
+
+    const result = await eraseStudent(studentId, snapshotStorage);
+
+    if (!result) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'No data held for this student' 
+      });
+    }
+
+    await recordCompliance(req, { action: 'erasure', subjectId: studentId, reason, details: result });
+    await recordAudit(req, {
+      action: 'student.erase',
+      targetType: 'student',
+      targetId: studentId,
+      details: result
+    });
+
+    console.log('✅ Student erased:', studentId, result);
+
+    res.json({ 
+      success: true, 
+      message: 'Student data erased',
+      data: result 
+    });
+
+  } catch (error) {
+    console.error('❌ Erase student error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Error erasing student',
+      error: error.message 
+    });
+  }
+});
+
+// Subject-access export: everything held about one student as a JSON download
+app.get('/api/students/:studentId/export', requireRole('admin'), async (req, res) => {
+  try {
+    const studentId = req.params.studentId.toUpperCase();
+    const data = await exportSubjectData(studentId, snapshotStorage);
+
+    if (!data) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'No data held for this student' 
+      });
+    }
+
+    await recordCompliance(req, {
+      action: 'subjectExport',
+      subjectId: studentId,
+      reason: req.query.reason ? String(req.query.reason).trim() : undefined,
+      details: {
+        attendance: data.attendance.length,
+        snapshots: data.snapshots.length,
+        enrollmentReviews: data.enrollmentReviews.length,
+        auditEntries: data.auditTrail.length
       }
     });
 
+    console.log('✅ Subject data exported:', studentId);
+
+    res.attachment(`subject_${studentId}.json`);
+    res.json(data);
+
   } catch (error) {
-    console.error('❌ Fetch stats error:', error);
+    console.error('❌ Export subject data error:', error);
     res.status(500).json({ 
       success: false, 
-      message: 'Error fetching statistics',
+      message: 'Error exporting subject data',
+      error: error.message 
+    });
+  }
+});
+
+// Compliance log, newest first. Filters: action, subjectId, page and limit (max 500).
+app.get('/api/compliance', requireRole('admin'), async (req, res) => {
+  try {
+    const { action, subjectId } = req.query;
+    const paging = parsePaging(req.query, 100);
+    const query = {};
+
+    if (action && !COMPLIANCE_ACTIONS.includes(action)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: `Invalid action. Use one of: ${COMPLIANCE_ACTIONS.join(', ')}` 
+      });
+    }
+
+    if (action) query.action = action;
+    if (subjectId) query.subjectId = String(subjectId).toUpperCase().trim();
+
+    const [entries, total] = await Promise.all([
+      db.complianceLog.find(query, { sort: { createdAt: -1 }, skip: paging.skip, limit: paging.limit }),
+      db.complianceLog.count(query)
+    ]);
+
+    res.json(pagedBody(entries, total, paging));
+
+  } catch (error) {
+    console.error('❌ Fetch compliance log error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Error fetching compliance log',
       error: error.message 
     });
   }
@@ -597,11 +3001,166 @@ app.get('/api/attendance/stats', async (req, res) => {
 
 // ========== UTILITY ROUTES ==========
 
+// List flagged enrollments (?status=open|approved|rejected|all, default open)
+app.get('/api/admin/enrollment-reviews', requireRole('admin'), async (req, res) => {
+  try {
+    const status = req.query.status || 'open';
+
+    if (!['open', 'approved', 'rejected', 'all'].includes(status)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Invalid status. Use open, approved, rejected or all' 
+      });
+    }
+
+    const query = status === 'all' ? {} : { status };
+
+    const reviews = await db.enrollmentReviews.find(query, { select: '-proposedTemplates.descriptor', sort: { createdAt: -1 } });
+
+    res.json({ 
+      success: true, 
+      count: reviews.length,
+      data: reviews 
+    });
+
+  } catch (error) {
+    console.error('❌ Fetch enrollment reviews error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Error fetching enrollment reviews',
+      error: error.message 
+    });
+  }
+});
+
+// Resolve a flagged enrollment: { decision: 'approve' | 'reject', note }
+app.post('/api/admin/enrollment-reviews/:reviewId/resolve', requireRole('admin'), async (req, res) => {
+  try {
+    const { decision, note } = req.body;
+
+    if (!['approve', 'reject'].includes(decision)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Decision must be approve or reject' 
+      });
+    }
+
+    if (!mongoose.isValidObjectId(req.params.reviewId)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Invalid review ID' 
+      });
+    }
+
+    const review = await db.enrollmentReviews.findById(req.params.reviewId);
+    if (!review) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Enrollment review not found' 
+      });
+    }
+
+    if (review.status !== 'open') {
+      return res.status(409).json({ 
+        success: false, 
+        message: `Review already ${review.status}` 
+      });
+    }
+
+    const student = await db.students.findOne({ studentId: review.studentId });
+    if (!student) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Student not found' 
+      });
+    }
+
+    const changes = {};
+
+    if (decision === 'approve') {
+      const faceTemplates = review.action === 'update'
+        ? review.proposedTemplates
+        : [...student.faceTemplates, ...review.proposedTemplates];
+
+      if (faceTemplates.length > MAX_FACE_TEMPLATES) {
+        return res.status(400).json({ 
+          success: false, 
+          message: `Approving would exceed ${MAX_FACE_TEMPLATES} face templates` 
+        });
+      }
+
+      changes.faceTemplates = faceTemplates;
+      changes.enrollmentStatus = 'enrolled';
+      if (review.previousStatus === 'pending') changes.registeredAt = new Date();
+    } else if (student.enrollmentStatus === 'review') {
+      changes.enrollmentStatus = review.previousStatus || 'pending';
+    }
+
+    const updated = await db.students.update({ _id: student._id }, changes);
+    const resolved = await db.enrollmentReviews.update({ _id: review._id }, {
+      status: decision === 'approve' ? 'approved' : 'rejected',
+      resolvedBy: req.user.username,
+      resolvedAt: new Date(),
+      resolutionNote: note
+    });
+
+    await recordAudit(req, {
+      action: `enrollmentReview.${decision}`,
+      targetType: 'student',
+      targetId: student.studentId,
+      before: student,
+      after: updated,
+      details: { reviewId: review._id, note }
+    });
+
+    console.log(`✅ Enrollment review ${resolved.status}:`, review.studentId, 'by', req.user.username);
+
+    res.json({ 
+      success: true, 
+      message: `Enrollment ${resolved.status}`,
+      data: {
+        reviewId: review._id,
+        studentId: student.studentId,
+        status: resolved.status,
+        enrollmentStatus: updated.enrollmentStatus
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Resolve enrollment review error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Error resolving enrollment review',
+      error: error.message 
+    });
+  }
+});
+
 // Clear all data (use with caution - for testing only)
-app.delete('/api/admin/clear-all', async (req, res) => {
+app.delete('/api/admin/clear-all', requireRole('admin'), async (req, res) => {
   try {
-    await Student.deleteMany({});
-    await Attendance.deleteMany({});
+    // Snapshot images live in storage, not the database, so delete them first
+    const withSnapshots = await db.attendance.find({ 'snapshot.key': { $exists: true } }, { select: 'snapshot' });
+    for (const record of withSnapshots) {
+      await snapshotStorage.remove(record.snapshot.key);
+      if (record.snapshot.thumbnailKey) await snapshotStorage.remove(record.snapshot.thumbnailKey);
+    }
+
+    const students = await db.students.remove({});
+    const attendance = await db.attendance.remove({});
+    const enrollmentReviews = await db.enrollmentReviews.remove({});
+
+    // The audit and compliance logs are never cleared
+    await recordAudit(req, {
+      action: 'system.clearAll',
+      targetType: 'system',
+      details: {
+        students,
+        attendance,
+        enrollmentReviews,
+        snapshots: withSnapshots.length
+      }
+    });
 
     console.log('⚠️  All data cleared');
 
@@ -629,10 +3188,12 @@ app.use((req, res) => {
     requested: req.url,
     availableEndpoints: [
       'GET /api/health',
+      'POST /api/auth/login',
       'GET /api/students',
       'POST /api/students/register',
-      'GET /api/students/descriptors',
-      'POST /api/attendance/checkin',
+      'GET /api/exams',
+      'POST /api/attendance/verify',
+      'POST /api/attendance/checkout',
       'GET /api/attendance/today'
     ]
   });
@@ -655,7 +3216,8 @@ app.listen(PORT, () => {
   console.log('   ========================================');
   console.log(`   📡 Server: http://localhost:${PORT}`);
   console.log(`   🔗 API: http://localhost:${PORT}/api`);
-  console.log(`   💾 Database: ${MONGODB_URI.includes('localhost') ? 'Local MongoDB' : 'MongoDB Atlas'}`);
+  console.log(`   💾 Database: ${db.describe()}`);
+  console.log(`   🔐 Descriptor key: ${loadKeyRing().currentId}`);
   console.log('   ========================================\n');
 
 });
@@ -0,0 +1,103 @@
+// Recognition settings: match threshold (global and per course), minimum
+// confidence and ambiguity margin. Stored as one document, cached here, and
+// loaded by every kiosk so offline matching follows the same rules.
+
+const db = require('./repository');
+const { MATCH_THRESHOLD } = require('./matching');
+
+const envNumber = (name, fallback) => {
+  const value = parseFloat(process.env[name]);
+  return isNaN(value) ? fallback : value;
+};
+
+// Used to create the settings document the first time it is read
+const DEFAULT_RECOGNITION_SETTINGS = {
+  matchThreshold: MATCH_THRESHOLD,
+  courseThresholds: [],
+  minConfidence: envNumber('MIN_MATCH_CONFIDENCE', 0),
+  ambiguityMargin: envNumber('MATCH_AMBIGUITY_MARGIN', 0.05)
+};
+
+let cached = null;
+
+const toView = (doc) => ({
+  matchThreshold: doc.matchThreshold,
+  courseThresholds: (doc.courseThresholds || []).map(({ course, threshold }) => ({ course, threshold })),
+  minConfidence: doc.minConfidence,
+  ambiguityMargin: doc.ambiguityMargin,
+  version: doc.version,
+  updatedBy: doc.updatedBy,
+  updatedAt: doc.updatedAt
+});
+
+const getRecognitionSettings = async () => {
+  if (cached) return cached;
+
+  const doc = await db.settings.update(
+    { key: 'recognition' },
+    { $setOnInsert: { ...DEFAULT_RECOGNITION_SETTINGS, version: 1 } },
+    { upsert: true }
+  );
+
+  cached = toView(doc);
+  return cached;
+};
+
+const inRange = (value, min, max) => typeof value === 'number' && isFinite(value) && value >= min && value <= max;
+
+// Check the fields of an update; returns an error message, or null if it is valid
+const validateRecognitionSettings = ({ matchThreshold, courseThresholds, minConfidence, ambiguityMargin }) => {
+  if (matchThreshold !== undefined && !inRange(matchThreshold, 0.1, 1.5)) {
+    return 'matchThreshold must be a number from 0.1 to 1.5';
+  }
+  if (minConfidence !== undefined && !inRange(minConfidence, 0, 100)) {
+    return 'minConfidence must be a percentage from 0 to 100';
+  }
+  if (ambiguityMargin !== undefined && !inRange(ambiguityMargin, 0, 1)) {
+    return 'ambiguityMargin must be a number from 0 to 1';
+  }
+
+  if (courseThresholds !== undefined) {
+    if (!Array.isArray(courseThresholds)) return 'courseThresholds must be an array of { course, threshold }';
+
+    const seen = new Set();
+    for (const entry of courseThresholds) {
+      const course = entry && typeof entry.course === 'string' ? entry.course.trim() : '';
+      if (!course || !inRange(entry.threshold, 0.1, 1.5)) {
+        return 'Each course threshold needs a course and a threshold from 0.1 to 1.5';
+      }
+      if (seen.has(course)) return `Course ${course} has more than one threshold`;
+      seen.add(course);
+    }
+  }
+
+  return null;
+};
+
+// Apply a validated update and bump the version; resolves { before, after }
+const updateRecognitionSettings = async (changes, username) => {
+  const before = await getRecognitionSettings();
+  const update = { updatedBy: username };
+
+  ['matchThreshold', 'minConfidence', 'ambiguityMargin'].forEach(field => {
+    if (changes[field] !== undefined) update[field] = changes[field];
+  });
+  if (changes.courseThresholds !== undefined) {
+    update.courseThresholds = changes.courseThresholds.map(({ course, threshold }) => ({ course: course.trim(), threshold }));
+  }
+
+  const doc = await db.settings.update(
+    { key: 'recognition' },
+    { $set: update, $inc: { version: 1 } }
+  );
+
+  cached = toView(doc);
+  return { before, after: cached };
+};
+
+module.exports = {
+  DEFAULT_RECOGNITION_SETTINGS,
+  getRecognitionSettings,
+  validateRecognitionSettings,
+  updateRecognitionSettings
+};
@@ -0,0 +1,67 @@
+// Pluggable file storage, used for check-in evidence snapshots. A backend is
+// an object with put(key, buffer), get(key) and remove(key); STORAGE_BACKEND
+// picks one at startup. Local disk is the only backend today - register
+// another factory in BACKENDS to add one (S3, GridFS, ...).
+
+const fs = require('fs/promises');
+const path = require('path');
+
+// Files under rootDir, keyed by relative path (e.g. 2025-01-31/<id>.jpg)
+const localDisk = (rootDir) => {
+  const root = path.resolve(rootDir);
+
+  // Keys come from the server, but never let one escape the root directory
+  const fileFor = (key) => {
+    const file = path.resolve(root, key);
+    if (!file.startsWith(root + path.sep)) throw new Error(`Invalid storage key: ${key}`);
+    return file;
+  };
+
+  return {
+    name: 'local',
+
+    async put(key, buffer) {
+      const file = fileFor(key);
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(file, buffer);
+    },
+
+    // Resolves null when the file does not exist
+    async get(key) {
+      try {
+        return await fs.readFile(fileFor(key));
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+
+    async remove(key) {
+      try {
+        await fs.unlink(fileFor(key));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    }
+  };
+};
+
+// Directory for local snapshots. The default is blocked from static serving in server.js.
+const SNAPSHOT_DIR = process.env.SNAPSHOT_DIR || path.join(__dirname, 'storage', 'snapshots');
+
+const BACKENDS = {
+  local: () => localDisk(SNAPSHOT_DIR)
+};
+
+const createStorage = (name = process.env.STORAGE_BACKEND || 'local') => {
+  const factory = BACKENDS[name];
+  if (!factory) {
+    throw new Error(`Unknown STORAGE_BACKEND "${name}" (available: ${Object.keys(BACKENDS).join(', ')})`);
+  }
+  return factory();
+};
+
+module.exports = {
+  createStorage,
+  localDisk
+};
@@ -0,0 +1,79 @@
+/* ============================================
+   SERVICE WORKER - offline kiosk support
+   Caches the app shell and the face models so a kiosk
+   can still start and verify faces without a connection.
+============================================ */
+const CACHE_NAME = "examattendance-v1";
+
+const APP_SHELL = [
+  "./",
+  "index.html",
+  "style.css",
+  "app.js",
+  "matching.js"
+];
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches.open(CACHE_NAME).then(cache => cache.addAll(APP_SHELL))
+  );
+  self.skipWaiting();
+});
+
+self.addEventListener("activate", (event) => {
+  // Drop caches from older versions of the app
+  event.waitUntil(
+    caches.keys().then(keys => Promise.all(
+      keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key))
+    ))
+  );
+  self.clients.claim();
+});
+
+// Face models and CDN libraries never change for a given URL: serve from cache first
+function isImmutableAsset(url) {
+  return url.pathname.includes("/model") ||
+    url.hostname === "cdn.jsdelivr.net" ||
+    url.hostname.endsWith("fonts.googleapis.com") ||
+    url.hostname.endsWith("fonts.gstatic.com");
+}
+
+async function cacheFirst(request) {
+  const cached = await caches.match(request);
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  if (response.ok || response.type === "opaque") {
+    const cache = await caches.open(CACHE_NAME);
+    cache.put(request, response.clone());
+  }
+  return response;
+}
+
+// App files: always try for the latest version, fall back to the cached copy offline
+async function networkFirst(request) {
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      const cache = await caches.open(CACHE_NAME);
+      cache.put(request, response.clone());
+    }
+    return response;
+  } catch (error) {
+    const cached = await caches.match(request);
+    if (cached) return cached;
+    throw error;
+  }
+}
+
+self.addEventListener("fetch", (event) => {
+  const request = event.request;
+  if (request.method !== "GET") return;
+
+  const url = new URL(request.url);
+
+  // API calls are never cached - app.js handles offline check-ins itself
+  if (url.pathname.startsWith("/api")) return;
+
+  event.respondWith(isImmutableAsset(url) ? cacheFirst(request) : networkFirst(request));
+});
@@ -0,0 +1,65 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, descriptor } = require('./support');
+
+describe('check-out', () => {
+  let server;
+  let examId;
+  let stationKey;
+
+  const checkOut = (face, extra = {}) => server.post(
+    '/attendance/checkout',
+    { examId, faceDescriptor: face, liveness: { passed: true }, ...extra },
+    { 'X-Station-Key': stationKey }
+  );
+
+  before(async () => {
+    server = await startServer();
+    const now = Date.now();
+    const exam = await server.post('/exams', {
+      course: 'CS',
+      paperCode: 'CS101',
+      venue: 'Hall A',
+      startTime: new Date(now - 5 * 60 * 1000).toISOString(),
+      endTime: new Date(now + 3 * 60 * 60 * 1000).toISOString()
+    });
+    examId = exam.body.data._id;
+    stationKey = (await server.post('/stations', { name: 'Door 1' })).body.apiKey;
+
+    await server.post('/students/register', { studentId: 'OUT01', name: 'Ann', course: 'CS', faceDescriptor: descriptor(1) });
+    await server.post('/students/register', { studentId: 'OUT02', name: 'Bob', course: 'CS', faceDescriptor: descriptor(2) });
+  });
+
+  after(() => server && server.stop());
+
+  test('takes the server time, not the time the kiosk sends', async () => {
+    const checkIn = await server.post(
+      '/attendance/verify',
+      { examId, faceDescriptor: descriptor(1), liveness: { passed: true } },
+      { 'X-Station-Key': stationKey }
+    );
+    assert.equal(checkIn.status, 201, checkIn.body.message);
+    const checkInTime = new Date(checkIn.body.data.checkInTime);
+
+    // The earliest time a kiosk could claim: the check-in itself
+    await new Promise(resolve => setTimeout(resolve, 50));
+    const requestedAt = Date.now();
+    const backdated = checkInTime.toISOString();
+    const { status, body } = await checkOut(descriptor(1), { capturedAt: backdated });
+
+    assert.equal(status, 200, body.message);
+    assert.ok(new Date(body.data.checkOutTime).getTime() >= requestedAt, 'check-out time was taken from the client');
+    assert.equal(body.data.durationMinutes, Math.floor((new Date(body.data.checkOutTime) - checkInTime) / 60000));
+  });
+
+  test('refuses a second check-out', async () => {
+    const { status } = await checkOut(descriptor(1));
+    assert.equal(status, 409);
+  });
+
+  test('refuses a student who never checked in', async () => {
+    const { status, body } = await checkOut(descriptor(2));
+    assert.equal(status, 404);
+    assert.match(body.message, /has not checked in/);
+  });
+});
@@ -0,0 +1,97 @@
+const { describe, test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawnSync } = require('child_process');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startServer, descriptor } = require('./support');
+
+const newKey = () => crypto.randomBytes(32).toString('base64');
+
+describe('descriptor key', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'attendance-key-test-'));
+  const dataDir = path.join(dir, 'data');
+  const keyFile = path.join(dir, '.descriptor-key');
+  const firstKey = newKey();
+
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const initKey = () => spawnSync(process.execPath, ['scripts/init-descriptor-key.js'], {
+    cwd: path.join(__dirname, '..'),
+    env: { ...process.env, DATA_BACKEND: 'file', DATA_DIR: dataDir, DESCRIPTOR_KEY: '', DESCRIPTOR_KEY_FILE: keyFile },
+    encoding: 'utf8',
+    timeout: 30000
+  });
+
+  test('the server refuses to start without a key', async () => {
+    await assert.rejects(startServer({ DESCRIPTOR_KEY: '' }), /No descriptor key/);
+  });
+
+  test('the init script creates a key file once', () => {
+    const first = initKey();
+    assert.equal(first.status, 0, first.stderr);
+    assert.ok(fs.existsSync(keyFile));
+
+    const again = initKey();
+    assert.equal(again.status, 1);
+    assert.match(again.stderr, /already exists/);
+  });
+
+  test('the server refuses descriptors sealed with a key it does not have', async () => {
+    const server = await startServer({ DATA_DIR: dataDir, DESCRIPTOR_KEY: firstKey });
+    const registered = await server.post('/students/register', { studentId: 'KEY01', name: 'Ann', course: 'CS', faceDescriptor: descriptor(1) });
+    await server.stop();
+    assert.equal(registered.status, 201, registered.body.message);
+
+    await assert.rejects(startServer({ DATA_DIR: dataDir, DESCRIPTOR_KEY: newKey() }), /can't be read with descriptor key/);
+
+    // Still fine once the old key is back among the accepted ones
+    const rotated = await startServer({ DATA_DIR: dataDir, DESCRIPTOR_KEY: newKey(), DESCRIPTOR_OLD_KEYS: firstKey });
+    const student = await rotated.get('/students/KEY01');
+    await rotated.stop();
+    assert.equal(student.status, 200, student.body.message);
+  });
+
+  test('the init script will not replace a key that sealed existing templates', () => {
+    fs.rmSync(keyFile);
+    const result = initKey();
+    assert.equal(result.status, 1);
+    assert.match(result.stderr, /already have face templates/);
+    assert.ok(!fs.existsSync(keyFile));
+  });
+});
+
+describe('descriptor key rotation', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'attendance-rotate-test-'));
+  const dataDir = path.join(dir, 'data');
+  const keyFile = path.join(dir, '.descriptor-key');
+  const env = { DATA_DIR: dataDir, DESCRIPTOR_KEY: '', DESCRIPTOR_KEY_FILE: keyFile };
+
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  test('re-encrypts the file backend and swaps the key file', async () => {
+    fs.writeFileSync(keyFile, `${newKey()}\n`);
+    const server = await startServer(env);
+    const registered = await server.post('/students/register', { studentId: 'ROT01', name: 'Ann', course: 'CS', faceDescriptor: descriptor(1) });
+    await server.stop();
+    assert.equal(registered.status, 201, registered.body.message);
+
+    const result = spawnSync(process.execPath, ['scripts/rotate-descriptor-key.js'], {
+      cwd: path.join(__dirname, '..'),
+      env: { ...process.env, DATA_BACKEND: 'file', ...env },
+      encoding: 'utf8',
+      timeout: 30000
+    });
+    assert.equal(result.status, 0, result.stderr);
+    assert.match(result.stdout, /students\.faceTemplates: re-encrypted 1 records/);
+    assert.ok(fs.existsSync(`${keyFile}.old`));
+    assert.ok(!fs.existsSync(`${keyFile}.new`));
+
+    // Only the new key is configured now, so the server reads nothing the old one sealed
+    const rotated = await startServer(env);
+    const student = await rotated.get('/students/ROT01');
+    await rotated.stop();
+    assert.equal(student.status, 200, student.body.message);
+  });
+});
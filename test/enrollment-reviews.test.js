@@ -0,0 +1,38 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, descriptor } = require('./support');
+
+describe('enrollment review list', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer({ DUPLICATE_FACE_POLICY: 'review' });
+    // The same face under a second ID is held for review
+    const face = descriptor(1);
+    await server.post('/students/register', { studentId: 'REVIEW01', name: 'Ann', course: 'CS', faceDescriptor: face });
+    const duplicate = await server.post('/students/register', { studentId: 'REVIEW02', name: 'Not Ann', course: 'CS', faceDescriptor: face });
+    assert.equal(duplicate.status, 202, duplicate.body.message);
+  });
+
+  after(() => server && server.stop());
+
+  test('lists reviews by status', async () => {
+    const open = await server.get('/admin/enrollment-reviews');
+    assert.equal(open.status, 200, open.body.message);
+    assert.deepEqual(open.body.data.map(review => review.studentId), ['REVIEW02']);
+
+    const approved = await server.get('/admin/enrollment-reviews?status=approved');
+    assert.equal(approved.body.count, 0);
+
+    const all = await server.get('/admin/enrollment-reviews?status=all');
+    assert.equal(all.body.count, 1);
+  });
+
+  test('rejects unknown statuses and operator objects', async () => {
+    for (const query of ['status=pending', 'status[$ne]=x', 'status=open&status=all']) {
+      const { status, body } = await server.get(`/admin/enrollment-reviews?${query}`);
+      assert.equal(status, 400, query);
+      assert.equal(body.success, false);
+    }
+  });
+});
@@ -0,0 +1,37 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./support');
+
+describe('exam session list', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer();
+    const now = Date.now();
+    for (const course of ['CS', 'EE']) {
+      await server.post('/exams', {
+        course,
+        paperCode: `${course}101`,
+        venue: 'Hall A',
+        startTime: new Date(now + 60 * 60 * 1000).toISOString(),
+        endTime: new Date(now + 3 * 60 * 60 * 1000).toISOString()
+      });
+    }
+  });
+
+  after(() => server && server.stop());
+
+  test('filters by course', async () => {
+    const { status, body } = await server.get('/exams?course=CS');
+    assert.equal(status, 200, body.message);
+    assert.deepEqual(body.data.map(exam => exam.paperCode), ['CS101']);
+  });
+
+  test('rejects a course filter that is not a plain string', async () => {
+    for (const query of ['course[$regex]=.', 'course[$ne]=CS', 'course=CS&course=EE']) {
+      const { status, body } = await server.get(`/exams?${query}`);
+      assert.equal(status, 400, query);
+      assert.equal(body.success, false);
+    }
+  });
+});
@@ -0,0 +1,53 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, descriptor } = require('./support');
+
+describe('manual override', () => {
+  let server;
+  let examId;
+  let stationKey;
+
+  const override = (body) => server.post(
+    '/attendance/manual',
+    { examId, reason: 'Camera broken', idCardNumber: 'ID-1', ...body },
+    { 'X-Station-Key': stationKey }
+  );
+
+  before(async () => {
+    server = await startServer();
+    const now = Date.now();
+    const exam = await server.post('/exams', {
+      course: 'CS',
+      paperCode: 'CS101',
+      venue: 'Hall A',
+      startTime: new Date(now - 5 * 60 * 1000).toISOString(),
+      endTime: new Date(now + 3 * 60 * 60 * 1000).toISOString()
+    });
+    examId = exam.body.data._id;
+    stationKey = (await server.post('/stations', { name: 'Door 1' })).body.apiKey;
+
+    await server.post('/students/register', { studentId: 'MAN01', name: 'Ann', course: 'CS', faceDescriptor: descriptor(1) });
+  });
+
+  after(() => server && server.stop());
+
+  test('checks a student in by ID card', async () => {
+    const { status, body } = await override({ studentId: 'man01' });
+    assert.equal(status, 201, body.message);
+    assert.equal(body.data.studentId, 'MAN01');
+    assert.equal(body.data.method, 'manual');
+  });
+
+  test('refuses a repeat override, whatever the case of the ID', async () => {
+    for (const studentId of ['man01', 'MAN01']) {
+      const { status, body } = await override({ studentId });
+      assert.equal(status, 409, body.message);
+      assert.match(body.message, /already has a (present|late) record/);
+    }
+  });
+
+  test('requires a reason', async () => {
+    const { status } = await override({ studentId: 'MAN01', reason: '' });
+    assert.equal(status, 400);
+  });
+});
@@ -0,0 +1,44 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, descriptor } = require('./support');
+
+describe('list paging', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer();
+    for (const [index, name] of ['Ann', 'Bob', 'Cara'].entries()) {
+      await server.post('/students/register', { studentId: `PAGE0${index}`, name, course: 'CS', faceDescriptor: descriptor(index + 1) });
+    }
+  });
+
+  after(() => server && server.stop());
+
+  const paging = async (query) => {
+    const { status, body } = await server.get(`/students?${query}`);
+    assert.equal(status, 200, body.message);
+    return { page: body.page, limit: body.limit, count: body.count, total: body.total };
+  };
+
+  test('clamps a negative or zero limit to one row', async () => {
+    assert.deepEqual(await paging('limit=-5'), { page: 1, limit: 1, count: 1, total: 3 });
+    assert.deepEqual(await paging('limit=0'), { page: 1, limit: 1, count: 1, total: 3 });
+  });
+
+  test('clamps a limit above the maximum page size', async () => {
+    assert.equal((await paging('limit=100000')).limit, 500);
+  });
+
+  test('clamps a page below one to the first page', async () => {
+    assert.deepEqual(await paging('limit=2&page=-3'), { page: 1, limit: 2, count: 2, total: 3 });
+    assert.deepEqual(await paging('limit=2&page=0'), { page: 1, limit: 2, count: 2, total: 3 });
+  });
+
+  test('uses the defaults for values that are not numbers', async () => {
+    assert.deepEqual(await paging('limit=abc&page=xyz'), { page: 1, limit: 50, count: 3, total: 3 });
+  });
+
+  test('pages through the list', async () => {
+    assert.deepEqual(await paging('limit=2&page=2'), { page: 2, limit: 2, count: 1, total: 3 });
+  });
+});
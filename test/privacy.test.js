@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, descriptor } = require('./support');
+
+test('erasing a student redacts their audit entries', async (t) => {
+  const server = await startServer();
+  t.after(() => server.stop());
+
+  const face = descriptor(1);
+  await server.post('/students/register', { studentId: 'ERASE01', name: 'Ann Example', course: 'CS', faceDescriptor: face });
+  await server.put('/students/ERASE01', { name: 'Ann Renamed' });
+
+  const now = Date.now();
+  const exam = await server.post('/exams', {
+    course: 'CS',
+    paperCode: 'CS101',
+    venue: 'Hall A',
+    startTime: new Date(now - 5 * 60 * 1000).toISOString(),
+    endTime: new Date(now + 3 * 60 * 60 * 1000).toISOString()
+  });
+  const station = await server.post('/stations', { name: 'Door 1' });
+  const checkIn = await server.post(
+    '/attendance/verify',
+    { examId: exam.body.data._id, faceDescriptor: face, liveness: { passed: true } },
+    { 'X-Station-Key': station.body.apiKey }
+  );
+  assert.equal(checkIn.status, 201, checkIn.body.message);
+  const attendanceId = checkIn.body.data._id;
+
+  const before = await server.get(`/audit?targetId=${attendanceId}`);
+  assert.match(JSON.stringify(before.body.data), /ERASE01/);
+
+  const erased = await server.post('/students/ERASE01/erase', { reason: 'Subject request' });
+  assert.equal(erased.status, 200, erased.body.message);
+  assert.ok(erased.body.data.auditEntriesRedacted >= 3);
+
+  // The check-in entry is still there, under the pseudonym
+  const attendanceEntries = (await server.get(`/audit?targetId=${attendanceId}`)).body.data;
+  assert.equal(attendanceEntries.length, 1);
+  const [entry] = attendanceEntries;
+  assert.match(entry.changes.studentId.to, /^ERASED-/);
+  assert.equal(entry.changes.name.to, 'Erased student');
+  assert.equal(entry.changes.matchDistance, undefined);
+
+  // Only the record of the erasure itself still names the student
+  const studentEntries = (await server.get('/audit?targetType=student&targetId=ERASE01')).body.data;
+  assert.deepEqual(studentEntries.map(item => item.action), ['student.erase']);
+
+  const registered = (await server.get('/audit?action=student.register')).body.data;
+  assert.equal(registered.length, 1);
+  assert.equal(registered[0].targetId, entry.changes.studentId.to);
+  assert.equal(registered[0].changes.faceTemplates, undefined);
+
+  const everything = JSON.stringify((await server.get('/audit?limit=200')).body.data
+    .filter(item => item.action !== 'student.erase'));
+  for (const identifying of ['ERASE01', 'Ann Example', 'Ann Renamed']) {
+    assert.ok(!everything.includes(identifying), `${identifying} is still in the audit log`);
+  }
+});
@@ -0,0 +1,68 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, descriptor } = require('./support');
+
+// Every route that writes attendance, with a body that would otherwise be valid
+const ATTENDANCE_WRITES = [
+  ['/attendance/verify', (examId) => ({ examId, faceDescriptor: descriptor(1), liveness: { passed: true } })],
+  ['/attendance/verify-batch', (examId) => ({ examId, faces: [{ faceDescriptor: descriptor(1), liveness: { passed: true } }] })],
+  ['/attendance/manual', (examId) => ({ examId, studentId: 'DOOR01', reason: 'Camera broken', idCardNumber: 'ID-1' })],
+  ['/attendance/checkout', (examId) => ({ examId, faceDescriptor: descriptor(1), liveness: { passed: true } })]
+];
+
+describe('station keys', () => {
+  let server;
+  let examId;
+  let station;
+
+  before(async () => {
+    server = await startServer();
+    const now = Date.now();
+    const exam = await server.post('/exams', {
+      course: 'CS',
+      paperCode: 'CS101',
+      venue: 'Hall A',
+      startTime: new Date(now - 5 * 60 * 1000).toISOString(),
+      endTime: new Date(now + 3 * 60 * 60 * 1000).toISOString()
+    });
+    examId = exam.body.data._id;
+    station = (await server.post('/stations', { name: 'Door 1' })).body;
+
+    await server.post('/students/register', { studentId: 'DOOR01', name: 'Ann', course: 'CS', faceDescriptor: descriptor(1) });
+  });
+
+  after(() => server && server.stop());
+
+  test('attendance writes need a station key', async () => {
+    for (const [url, body] of ATTENDANCE_WRITES) {
+      const { status, body: response } = await server.post(url, body(examId));
+      assert.equal(status, 401, url);
+      assert.equal(response.message, 'This device is not a registered check-in station', url);
+    }
+  });
+
+  test('attendance writes refuse an unknown key', async () => {
+    for (const [url, body] of ATTENDANCE_WRITES) {
+      const { status, body: response } = await server.post(url, body(examId), { 'X-Station-Key': 'not-a-key' });
+      assert.equal(status, 401, url);
+      assert.equal(response.message, 'Unknown station key', url);
+    }
+  });
+
+  test('a registered station can record a manual override', async () => {
+    const { status, body } = await server.post('/attendance/manual', ATTENDANCE_WRITES[2][1](examId), { 'X-Station-Key': station.apiKey });
+    assert.equal(status, 201, body.message);
+    assert.equal(body.data.station, 'Door 1');
+  });
+
+  test('attendance writes refuse a revoked station', async () => {
+    const revoked = await server.delete(`/stations/${station.data._id}`);
+    assert.equal(revoked.status, 200, revoked.body.message);
+
+    for (const [url, body] of ATTENDANCE_WRITES) {
+      const { status, body: response } = await server.post(url, body(examId), { 'X-Station-Key': station.apiKey });
+      assert.equal(status, 401, url);
+      assert.equal(response.message, 'This station has been revoked', url);
+    }
+  });
+});
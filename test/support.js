@@ -0,0 +1,100 @@
+// Runs server.js for the API tests: the file backend in a temporary directory,
+// a fixed admin account, and a small client that logs in as that admin.
+
+const { spawn } = require('child_process');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const ADMIN = { username: 'testadmin', password: 'test-password' };
+const STARTUP_MS = 15000;
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// A face descriptor that no other test descriptor comes close to
+const descriptor = (seed) => Array.from({ length: 128 }, (_, i) => Math.sin(i * seed) / 4);
+
+// env adds to or overrides the server's environment
+const startServer = async (env = {}) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'attendance-test-'));
+  const port = 20000 + Math.floor(Math.random() * 20000);
+  const base = `http://localhost:${port}/api`;
+
+  const child = spawn(process.execPath, ['server.js'], {
+    cwd: path.join(__dirname, '..'),
+    env: {
+      ...process.env,
+      PORT: String(port),
+      DATA_BACKEND: 'file',
+      DATA_DIR: path.join(dir, 'data'),
+      SNAPSHOT_DIR: path.join(dir, 'snapshots'),
+      DESCRIPTOR_KEY: crypto.randomBytes(32).toString('base64'),
+      DESCRIPTOR_KEY_FILE: path.join(dir, '.descriptor-key'),
+      AUTH_SECRET: 'test-secret',
+      ADMIN_USERNAME: ADMIN.username,
+      ADMIN_PASSWORD: ADMIN.password,
+      ...env
+    },
+    stdio: ['ignore', 'ignore', 'pipe']
+  });
+
+  let stderr = '';
+  child.stderr.on('data', chunk => {
+    stderr += chunk;
+  });
+  const exited = new Promise(resolve => child.once('exit', resolve));
+
+  const stop = async () => {
+    if (child.exitCode === null) {
+      child.kill();
+      await exited;
+    }
+    fs.rmSync(dir, { recursive: true, force: true });
+  };
+
+  let token = null;
+
+  // { status, body } for one call; headers are added to the admin's login
+  const request = async (method, url, body, headers = {}) => {
+    const response = await fetch(`${base}${url}`, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+        ...headers
+      },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  // The admin account exists once the server has connected to its data
+  const deadline = Date.now() + STARTUP_MS;
+  while (!token) {
+    if (child.exitCode !== null || Date.now() > deadline) {
+      await stop();
+      throw new Error(`Server did not start:\n${stderr}`);
+    }
+    try {
+      const { status, body } = await request('POST', '/auth/login', ADMIN);
+      if (status === 200) token = body.token;
+    } catch (error) {
+      // Not listening yet
+    }
+    if (!token) await delay(200);
+  }
+
+  return {
+    get: (url, headers) => request('GET', url, undefined, headers),
+    post: (url, body, headers) => request('POST', url, body, headers),
+    put: (url, body, headers) => request('PUT', url, body, headers),
+    delete: (url, headers) => request('DELETE', url, undefined, headers),
+    stop
+  };
+};
+
+module.exports = {
+  startServer,
+  descriptor
+};